@@ -2,42 +2,136 @@ const express = require('express');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const cors = require('cors');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
+const NodeMediaServer = require('node-media-server');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 const config = {
     maxConcurrentStreams: parseInt(process.env.MAX_STREAMS || '20'),
+    maxCpuLoad: parseFloat(process.env.MAX_CPU_LOAD || '0'),
+    streamQuota: parseInt(process.env.STREAM_QUOTA || '0'),
+    queueMaxSize: parseInt(process.env.QUEUE_MAX_SIZE || '50'),
+    queueTimeout: parseInt(process.env.QUEUE_TIMEOUT || '300000'),
+    preemptPriority: process.env.PREEMPT_PRIORITY || 'high',
+    preemptIdleAfter: parseInt(process.env.PREEMPT_IDLE_AFTER || '60000'),
     segmentDuration: parseInt(process.env.SEGMENT_DURATION || '2'),
     maxSegments: parseInt(process.env.MAX_SEGMENTS || '10'),
     streamTimeout: parseInt(process.env.STREAM_TIMEOUT || '600000'),
+    viewerSessionTimeout: parseInt(process.env.VIEWER_SESSION_TIMEOUT || '30000'),
+    sourcesFile: process.env.SOURCES_FILE || path.join(__dirname, 'sources.json'),
+    onDemandIdleTimeout: parseInt(process.env.ON_DEMAND_IDLE_TIMEOUT || '300000'),
+    groupsFile: process.env.GROUPS_FILE || path.join(__dirname, 'groups.json'),
+    batchMaxStreams: parseInt(process.env.BATCH_MAX_STREAMS || '50'),
+    batchConcurrency: parseInt(process.env.BATCH_CONCURRENCY || '16'),
+    webhookUrls: (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+    webhookSecret: process.env.WEBHOOK_SECRET || null,
+    webhookLogFile: process.env.WEBHOOK_LOG_FILE || path.join(__dirname, 'webhook-deliveries.log'),
+    webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5'),
+    webhookRetryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY || '2000'),
+    webhookTimeout: parseInt(process.env.WEBHOOK_TIMEOUT || '5000'),
+    webhookLogMaxBytes: parseInt(process.env.WEBHOOK_LOG_MAX_BYTES || String(10 * 1024 * 1024)),
+    callbackAllowedHosts: (process.env.CALLBACK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+    eventsMetricsInterval: parseInt(process.env.EVENTS_METRICS_INTERVAL || '2000'),
+    thumbnailInterval: parseInt(process.env.THUMBNAIL_INTERVAL || '10'),
+    thumbnailWidth: parseInt(process.env.THUMBNAIL_WIDTH || '320'),
+    spriteColumns: parseInt(process.env.SPRITE_COLUMNS || '5'),
+    spriteRows: parseInt(process.env.SPRITE_ROWS || '5'),
+    spriteCellWidth: 160,
+    spriteCellHeight: 90,
     cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL || '30000'),
     maxRetries: parseInt(process.env.MAX_RETRIES || '3'),
-    retryDelay: parseInt(process.env.RETRY_DELAY || '2000')
+    retryDelay: parseInt(process.env.RETRY_DELAY || '2000'),
+    maxRetryDelay: parseInt(process.env.MAX_RETRY_DELAY || '30000'),
+    retryResetTime: parseInt(process.env.RETRY_RESET_TIME || '60000'),
+    rtmpEnabled: process.env.RTMP_ENABLED === 'true',
+    rtmpPort: parseInt(process.env.RTMP_PORT || '1935'),
+    streamKeysFile: process.env.STREAM_KEYS_FILE || path.join(__dirname, 'stream-keys.json'),
+    apiKeysFile: process.env.API_KEYS_FILE || path.join(__dirname, 'api-keys.json'),
+    adminApiKey: process.env.ADMIN_API_KEY || null,
+    jwtSecret: process.env.JWT_SECRET || null,
+    playbackSecret: process.env.PLAYBACK_SECRET || null,
+    playbackTokenTtl: parseInt(process.env.PLAYBACK_TOKEN_TTL || '3600'),
+    playbackBindIp: process.env.PLAYBACK_BIND_IP === 'true',
+    playbackRateLimit: parseInt(process.env.PLAYBACK_RATE_LIMIT || '600'),
+    streamStore: process.env.STREAM_STORE || 'json',
+    streamStoreFile: process.env.STREAM_STORE_FILE || path.join(__dirname, 'streams.json'),
+    drainTimeout: parseInt(process.env.DRAIN_TIMEOUT || '10000'),
+    hlsDir: process.env.HLS_DIR || path.join(__dirname, 'hls'),
+    recordingsDir: process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings'),
+    clipsDir: process.env.CLIPS_DIR || path.join(__dirname, 'clips'),
+    keysDir: process.env.KEYS_DIR || path.join(__dirname, 'keys'),
+    keyRotationSegments: parseInt(process.env.KEY_ROTATION_SEGMENTS || '0'),
+    maxClipDuration: parseInt(process.env.MAX_CLIP_DURATION || '600'),
+    dvrMaxWindow: parseInt(process.env.DVR_MAX_WINDOW || '7200'),
+    dvrMaxBytes: parseInt(process.env.DVR_MAX_BYTES || String(2 * 1024 * 1024 * 1024)),
+    llPartDuration: parseFloat(process.env.LL_PART_DURATION || '0.5'),
+    profilesFile: process.env.PROFILES_FILE || path.join(__dirname, 'profiles.json'),
+    defaultProfile: process.env.DEFAULT_PROFILE || 'ios-baseline',
+    probeTimeout: parseInt(process.env.PROBE_TIMEOUT || '8000'),
+    clusterRole: process.env.CLUSTER_ROLE || 'standalone',
+    nodeId: process.env.NODE_ID || `${os.hostname()}:${PORT}`,
+    nodeUrl: (process.env.NODE_URL || process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, ''),
+    coordinatorUrl: process.env.COORDINATOR_URL || null,
+    clusterSecret: process.env.CLUSTER_SECRET || null,
+    clusterStore: process.env.CLUSTER_STORE || 'memory',
+    clusterStoreFile: process.env.CLUSTER_STORE_FILE || path.join(__dirname, 'cluster-state.json'),
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL || '5000'),
+    nodeTimeout: parseInt(process.env.NODE_TIMEOUT || '15000'),
+    hlsStorage: process.env.HLS_STORAGE || 'disk',
+    publicBaseUrl: process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') : null,
+    forwardedHosts: (process.env.FORWARDED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+    cdnBaseUrl: process.env.CDN_BASE_URL ? process.env.CDN_BASE_URL.replace(/\/+$/, '') : null
 };
 
 app.use(cors({
     origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
     methods: ['GET', 'POST', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 app.use(express.json({ limit: '10mb' }));
 
 const rateLimitMap = new Map();
 const rateLimit = (req, res, next) => {
+    // Coordinator and workers talk to each other far more often than any client
+    if (req.path.startsWith('/api/cluster/') && hasValidClusterSecret(req)) {
+        return next();
+    }
+    // Players fetch a playlist and a segment (LL-HLS: a part) every few seconds, far above the API limit.
+    // A signed URL is proof enough, without one playback gets its own, higher limit per IP. Requests for
+    // streams that are not running stay on the API limit since they can start one on demand.
+    const playbackMatch = req.path.match(/^\/hls\/([^/]+)\//);
+    const playback = playbackMatch && activeStreams.has(playbackMatch[1]);
+    if (playback && config.playbackSecret && isValidPlaybackToken(playbackMatch[1], req.query.token, req.ip)) {
+        return next();
+    }
+    // Every segment of a memory-backed stream is uploaded by the local FFmpeg
+    const ingest = req.path.match(/^\/ingest\/([^/]+)\/([^/]+)\//);
+    if (ingest && hasValidIngestToken(ingest[1], ingest[2])) {
+        return next();
+    }
+
     const clientIP = req.ip || req.connection.remoteAddress;
+    const bucket = playback ? `playback:${clientIP}` : clientIP;
     const now = Date.now();
     const windowMs = 60 * 1000;
-    const maxRequests = 50;
+    const maxRequests = playback ? config.playbackRateLimit : 50;
 
-    if (!rateLimitMap.has(clientIP)) {
-        rateLimitMap.set(clientIP, { count: 1, resetTime: now + windowMs });
+    if (!rateLimitMap.has(bucket)) {
+        rateLimitMap.set(bucket, { count: 1, resetTime: now + windowMs });
         return next();
     }
 
-    const clientData = rateLimitMap.get(clientIP);
+    const clientData = rateLimitMap.get(bucket);
     if (now > clientData.resetTime) {
         clientData.count = 1;
         clientData.resetTime = now + windowMs;
@@ -58,428 +152,6239 @@ const rateLimit = (req, res, next) => {
 
 app.use(rateLimit);
 
-app.use('/hls', (req, res, next) => {
+const apiScopes = ['read', 'start', 'stop', 'admin'];
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const loadApiKeys = () => {
+    try {
+        if (fs.existsSync(config.apiKeysFile)) {
+            return new Map(Object.entries(JSON.parse(fs.readFileSync(config.apiKeysFile, 'utf8'))));
+        }
+    } catch (error) {
+        console.error(`❌ Could not load API keys from ${config.apiKeysFile}:`, error.message);
+    }
+    return new Map();
+};
+
+// Keyed by id, only the SHA-256 of each key is stored
+const apiKeys = loadApiKeys();
+
+const saveApiKeys = () => {
+    fs.writeFileSync(config.apiKeysFile, JSON.stringify(Object.fromEntries(apiKeys), null, 4));
+};
+
+// Without any credential configured the API stays open, as it was before authentication existed
+const isAuthEnabled = () => !!config.adminApiKey || !!config.jwtSecret || apiKeys.size > 0;
+
+const parseScopes = (value) => {
+    const scopes = Array.isArray(value) ? value : String(value || '').split(' ');
+    return scopes.filter(scope => apiScopes.includes(scope));
+};
+
+const verifyJwt = (token) => {
+    const [header, payload, signature] = token.split('.');
+    if (!config.jwtSecret || !signature) {
+        return null;
+    }
+
+    const expected = crypto.createHmac('sha256', config.jwtSecret).update(`${header}.${payload}`).digest('base64url');
+    if (expected.length !== signature.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+        return null;
+    }
+
+    try {
+        if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') {
+            return null;
+        }
+
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        const now = Date.now() / 1000;
+        if (!claims.sub || (claims.exp !== undefined && now >= claims.exp) || (claims.nbf !== undefined && now < claims.nbf)) {
+            return null;
+        }
+        return claims;
+    } catch (_) {
+        return null;
+    }
+};
+
+const authenticate = (req) => {
+    const authorization = req.get('Authorization') || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : req.get('X-API-Key');
+    if (!token) {
+        return null;
+    }
+
+    // JWTs are the only credentials with dots in them, API keys are plain hex
+    if (token.split('.').length === 3) {
+        const claims = verifyJwt(token);
+        return claims ? {
+            id: `jwt:${claims.sub}`,
+            name: claims.name || claims.sub,
+            scopes: parseScopes(claims.scopes || claims.scope),
+            maxStreams: claims.max_streams || null,
+            maxPriority: claims.max_priority || null
+        } : null;
+    }
+
+    const keyHash = hashApiKey(token);
+    if (config.adminApiKey && keyHash === hashApiKey(config.adminApiKey)) {
+        return { id: 'admin', name: 'ADMIN_API_KEY', scopes: ['admin'] };
+    }
+
+    for (const entry of apiKeys.values()) {
+        if (entry.keyHash === keyHash) {
+            return { id: `key:${entry.id}`, name: entry.name, scopes: entry.scopes, maxStreams: entry.maxStreams || null, maxPriority: entry.maxPriority || null };
+        }
+    }
+    return null;
+};
+
+const requireScope = (scope) => (req, res, next) => {
+    req.principal = null;
+    if (!isAuthEnabled()) {
+        return next();
+    }
+
+    const principal = authenticate(req);
+    if (!principal) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+            success: false,
+            message: 'Missing or invalid API key or token'
+        });
+    }
+
+    if (!principal.scopes.includes(scope) && !principal.scopes.includes('admin')) {
+        return res.status(403).json({
+            success: false,
+            message: `This credential lacks the "${scope}" scope`
+        });
+    }
+
+    req.principal = principal;
+    next();
+};
+
+// Streams, recordings and clips belong to the credential that created them
+const canAccess = (req, ownerId) => !req.principal || req.principal.scopes.includes('admin') || req.principal.id === ownerId;
+
+const forbiddenBody = (details) => ({
+    success: false,
+    message: 'This resource belongs to another API key',
+    ...details
+});
+
+const sendForbidden = (res, details) => res.status(403).json(forbiddenBody(details));
+
+// Live playlists change once per segment, so caches may hold them for about half of one
+const playlistMaxAge = () => Math.max(1, Math.floor(config.segmentDuration / 2));
+
+// A segment is only looked up while it is listed, which bounds its TTL. Names restart from zero when a stream
+// is started again, so "immutable" must not outlive the playlist window.
+const segmentMaxAge = (req) => {
+    if (req.baseUrl === '/recordings') {
+        return 365 * 24 * 3600;
+    }
+    const match = req.path.match(/^\/([^/]+)\//);
+    const stream = match ? activeStreams.get(match[1]) : null;
+    return stream && stream.dvr ? stream.dvr.window : config.segmentDuration * config.maxSegments;
+};
+
+// /recordings also answers to API credentials sent in headers, so only the browser may keep a copy
+const cacheVisibility = (req) => req.baseUrl === '/recordings' ? 'private' : 'public';
+
+const setHlsHeaders = (req, res, next) => {
+    const visibility = cacheVisibility(req);
     if (req.path.endsWith('.m3u8')) {
         res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-        res.setHeader('Pragma', 'no-cache');
-        res.setHeader('Expires', '0');
+        const match = req.path.match(/^\/([^/]+)\//);
+        const stream = match && req.baseUrl === '/hls' ? activeStreams.get(match[1]) : null;
+        if (req.query._HLS_msn !== undefined) {
+            // A blocking reload for a given msn/part always returns the same playlist
+            res.setHeader('Cache-Control', `${visibility}, max-age=${config.segmentDuration * 3}`);
+        } else if (stream && stream.llhls) {
+            res.setHeader('Cache-Control', 'no-cache');
+        } else {
+            res.setHeader('Cache-Control', `${visibility}, max-age=${playlistMaxAge()}`);
+        }
     } else if (req.path.endsWith('.ts')) {
         res.setHeader('Content-Type', 'video/mp2t');
-        res.setHeader('Cache-Control', 'public, max-age=3600');
+        res.setHeader('Cache-Control', `${visibility}, max-age=${segmentMaxAge(req)}, immutable`);
+    } else if (req.path.endsWith('.m4s')) {
+        res.setHeader('Content-Type', 'video/iso.segment');
+        res.setHeader('Cache-Control', `${visibility}, max-age=${segmentMaxAge(req)}, immutable`);
+    } else if (req.path.endsWith('.mp4')) {
+        res.setHeader('Content-Type', 'video/mp4');
+        res.setHeader('Cache-Control', `${visibility}, max-age=${segmentMaxAge(req)}, immutable`);
+    } else if (req.path.endsWith('.vtt')) {
+        res.setHeader('Content-Type', 'text/vtt');
+        res.setHeader('Cache-Control', 'no-cache');
+    } else if (/\.(jpg|webp)$/.test(req.path)) {
+        // Sprite sheets never change once written, the thumbnail is overwritten in place
+        res.setHeader('Cache-Control', req.path.includes('/sprites/') ? `${visibility}, max-age=${segmentMaxAge(req)}` : 'no-cache');
     }
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Headers', 'Range');
     res.setHeader('Accept-Ranges', 'bytes');
     next();
-}, express.static('hls'));
+};
 
-const activeStreams = new Map();
-const streamMetrics = new Map();
+// Per stream request and byte counters for /metrics, only kept for streams that exist
+const hlsTraffic = new Map();
 
-const hlsDir = path.join(__dirname, 'hls');
-if (!fs.existsSync(hlsDir)) {
-    fs.mkdirSync(hlsDir, { recursive: true });
-}
+const getHlsRequestType = (filePath) => {
+    if (filePath.endsWith('.m3u8')) return 'playlist';
+    if (filePath.includes('/parts/')) return 'part';
+    if (/\.(ts|m4s)$/.test(filePath)) return 'segment';
+    return 'other';
+};
 
-const isValidUrl = (string) => {
-    try {
-        const url = new URL(string);
-        return url.protocol === 'http:' || url.protocol === 'https:' || url.protocol === 'rtmp:' || url.protocol === 'rtsp:';
-    } catch (_) {
-        return false;
+// Viewers are told apart by their playback token, or by IP and User-Agent when playback is not signed.
+// A session ends once it has not fetched anything for viewerSessionTimeout.
+const viewerSessions = new Map();
+const audienceStats = new Map();
+
+const getAudience = (streamId) => {
+    if (!audienceStats.has(streamId)) {
+        audienceStats.set(streamId, { sessions: 0, peakViewers: 0, endedWatchTime: 0, bytes: 0 });
+        viewerSessions.set(streamId, new Map());
     }
+    return audienceStats.get(streamId);
 };
 
-const generateSafeStreamId = (inputId) => {
-    return inputId.replace(/[^a-zA-Z0-9_-]/g, '_');
+const expireViewerSessions = (streamId, now) => {
+    const sessions = viewerSessions.get(streamId);
+    if (!sessions) {
+        return;
+    }
+    for (const [key, session] of sessions.entries()) {
+        if (now - session.lastSeen > config.viewerSessionTimeout) {
+            audienceStats.get(streamId).endedWatchTime += session.lastSeen - session.startedAt;
+            sessions.delete(key);
+        }
+    }
 };
 
-const checkFFmpegHealth = () => {
-    return new Promise((resolve) => {
-        const ffmpeg = spawn('ffmpeg', ['-version'], { stdio: 'ignore' });
-        let resolved = false;
-        
-        const timeout = setTimeout(() => {
-            if (!resolved) {
-                resolved = true;
-                resolve(false);
-            }
-        }, 5000);
+const recordViewerRequest = (req, res, streamId, type) => {
+    const now = Date.now();
+    const bytes = parseInt(res.getHeader('Content-Length')) || 0;
+    const audience = getAudience(streamId);
+    const sessions = viewerSessions.get(streamId);
+    expireViewerSessions(streamId, now);
 
-        ffmpeg.on('close', (code) => {
-            if (!resolved) {
-                resolved = true;
-                clearTimeout(timeout);
-                resolve(code === 0);
-            }
-        });
+    const identity = req.query.token ? `token:${req.query.token}` : `${req.ip}|${req.get('User-Agent') || ''}`;
+    const key = crypto.createHash('sha256').update(identity).digest('hex').slice(0, 16);
 
-        ffmpeg.on('error', () => {
-            if (!resolved) {
-                resolved = true;
-                clearTimeout(timeout);
-                resolve(false);
-            }
-        });
-    });
+    let session = sessions.get(key);
+    if (!session) {
+        session = { id: key, ip: req.ip, userAgent: req.get('User-Agent') || 'Unknown', startedAt: now, lastSeen: now, playlistRequests: 0, segmentRequests: 0, bytes: 0 };
+        sessions.set(key, session);
+        audience.sessions++;
+        audience.peakViewers = Math.max(audience.peakViewers, sessions.size);
+    }
+
+    session.lastSeen = now;
+    session.bytes += bytes;
+    audience.bytes += bytes;
+    if (type === 'playlist') {
+        session.playlistRequests++;
+    } else if (type === 'segment' || type === 'part') {
+        session.segmentRequests++;
+    }
+
+    // Only real playback keeps a stream alive, status polling does not
+    const stream = activeStreams.get(streamId);
+    if (stream) {
+        stream.lastActivity = now;
+        if (stream.timeout) stream.timeout.refresh();
+    }
 };
 
-const waitForPlaylist = (playlistPath, timeout = 45000) => {
-    return new Promise((resolve, reject) => {
-        const startTime = Date.now();
-        const checkPlaylist = () => {
-            if (fs.existsSync(playlistPath)) {
-                try {
-                    const content = fs.readFileSync(playlistPath, 'utf8');
-                    if (content.includes('#EXTM3U')) {
-                        const segments = content.match(/\.ts/g);
-                        if (segments && segments.length > 0) {
-                            resolve(true);
-                            return;
-                        }
-                    }
-                } catch (error) {
-                    console.log("error :", error);
-                }
-            }
-            
-            if (Date.now() - startTime > timeout) {
-                reject(new Error('Timeout waiting for playlist'));
-                return;
-            }
-            
-            setTimeout(checkPlaylist, 1500);
-        };
-        checkPlaylist();
-    });
+const getAudienceStatus = (streamId, { includeSessions = false } = {}) => {
+    const now = Date.now();
+    const audience = getAudience(streamId);
+    expireViewerSessions(streamId, now);
+
+    const sessions = Array.from(viewerSessions.get(streamId).values());
+    const openWatchTime = sessions.reduce((total, session) => total + session.lastSeen - session.startedAt, 0);
+
+    return {
+        concurrentViewers: sessions.length,
+        peakViewers: audience.peakViewers,
+        totalSessions: audience.sessions,
+        watchTimeSeconds: Math.round((audience.endedWatchTime + openWatchTime) / 1000),
+        bytesServed: audience.bytes,
+        sessions: includeSessions ? sessions.map(session => ({
+            id: session.id,
+            ip: session.ip,
+            userAgent: session.userAgent,
+            startedAt: new Date(session.startedAt).toISOString(),
+            lastSeen: new Date(session.lastSeen).toISOString(),
+            watchTimeSeconds: Math.round((session.lastSeen - session.startedAt) / 1000),
+            playlistRequests: session.playlistRequests,
+            segmentRequests: session.segmentRequests,
+            bytes: session.bytes
+        })) : undefined
+    };
 };
 
-const cleanupStreamDirectory = (streamId) => {
-    const streamDir = path.join(hlsDir, streamId);
-    
-    setTimeout(() => {
-        try {
-            if (fs.existsSync(streamDir)) {
-                const files = fs.readdirSync(streamDir);
-                for (const file of files) {
-                    try {
-                        fs.unlinkSync(path.join(streamDir, file));
-                    } catch (fileError) {
-                        console.warn(`Warning: Could not delete file ${file}:`, fileError.message);
-                    }
-                }
-                
-                fs.rmdirSync(streamDir);
-                console.log(`🧹 Cleaned up directory for stream ${streamId}`);
-            }
-        } catch (error) {
-            console.error(`❌ Error cleaning up stream directory ${streamId}:`, error);
+const trackHlsRequest = (req, res, next) => {
+    const match = req.path.match(/^\/([^/]+)\//);
+    if (!match || !(activeStreams.has(match[1]) || registeredSources.has(match[1]))) {
+        return next();
+    }
+
+    const streamId = match[1];
+    const type = getHlsRequestType(req.path);
+
+    // Checked once the response is done, a request may have started the stream on demand
+    res.on('finish', () => {
+        if (!activeStreams.has(streamId)) {
+            return;
         }
-    }, 5000);
+        if (!hlsTraffic.has(streamId)) {
+            hlsTraffic.set(streamId, { requests: new Map(), bytes: 0 });
+        }
+        const traffic = hlsTraffic.get(streamId);
+        const key = `${type}|${res.statusCode}`;
+        traffic.requests.set(key, (traffic.requests.get(key) || 0) + 1);
+        traffic.bytes += parseInt(res.getHeader('Content-Length')) || 0;
+
+        // Rejected and missing files are not somebody watching
+        if (res.statusCode < 400 && type !== 'other') {
+            recordViewerRequest(req, res, streamId, type);
+        }
+    });
+
+    next();
 };
 
-const createFFmpegProcess = (flvUrl, streamDir, safeStreamId) => {
-    const ffmpegArgs = [
-        '-hide_banner',                        // Hide FFmpeg banner
-        '-loglevel', 'info',                   // Set log level
-        '-reconnect', '1',                     // Auto reconnect if connection lost
-        '-reconnect_streamed', '1',            // Reconnect for streamed inputs
-        '-reconnect_delay_max', '5',           // Max delay 5 seconds
-        '-reconnect_at_eof', '1',              // Reconnect at end of file
-        '-timeout', '10000000',                // 10 second timeout for network operations
-        '-i', flvUrl,                          // Input FLV stream
-        '-c:v', 'libx264',                     // Video codec H.264
-        '-c:a', 'aac',                         // Audio codec AAC
-        '-preset', 'ultrafast',                // Fast encoding
-        '-tune', 'zerolatency',                // Low latency
-        '-profile:v', 'baseline',              // iOS compatibility
-        '-level', '3.0',                       // iOS compatibility
-        '-pix_fmt', 'yuv420p',                 // iOS compatibility
-        '-r', '25',                            // Frame rate
-        '-g', '50',                            // Keyframe interval (2 seconds at 25fps)
-        '-keyint_min', '25',                   // Minimum keyframe interval
-        '-sc_threshold', '0',                  // Disable scene change detection
-        '-b:v', '1000k',                       // Video bitrate
-        '-maxrate', '1200k',                   // Max video bitrate
-        '-bufsize', '2000k',                   // Buffer size
-        '-b:a', '128k',                        // Audio bitrate
-        '-ar', '44100',                        // Audio sample rate
-        '-ac', '2',                            // Audio channels
-        '-f', 'hls',                           // Output format HLS
-        '-hls_time', config.segmentDuration.toString(),
-        '-hls_list_size', config.maxSegments.toString(),
-        '-hls_flags', 'delete_segments+append_list+split_by_time+independent_segments',
-        '-hls_allow_cache', '0',
-        '-hls_segment_type', 'mpegts',         // Segment type
-        '-hls_segment_filename', path.join(streamDir, 'segment_%05d.ts'),
-        '-method', 'PUT',                      // HTTP method for segments
-        '-y',                                  // Overwrite output files
-        path.join(streamDir, 'playlist.m3u8')
-    ];
+// Playback tokens are "<expires>.<signature>", the HMAC covers stream, expiry and the bound IP (if any)
+const signPlayback = (streamId, expires, ip) => crypto
+    .createHmac('sha256', config.playbackSecret)
+    .update(`${streamId}\n${expires}\n${ip || ''}`)
+    .digest('base64url');
 
-    return spawn('ffmpeg', ffmpegArgs, {
-        stdio: ['ignore', 'pipe', 'pipe'],
-        env: { ...process.env, FFREPORT: 'file=ffmpeg.log:level=32' }
+const createPlaybackToken = (streamId, ip) => {
+    const expires = Math.floor(Date.now() / 1000) + config.playbackTokenTtl;
+    const boundIp = config.playbackBindIp ? ip : null;
+    return { token: `${expires}.${signPlayback(streamId, expires, boundIp)}`, expiresAt: new Date(expires * 1000).toISOString() };
+};
+
+const isValidPlaybackToken = (streamId, token, ip) => {
+    const [expires, signature] = String(token || '').split('.');
+    if (!signature || !(parseInt(expires) > Date.now() / 1000)) {
+        return false;
+    }
+
+    // Tokens issued without IP binding verify against an empty IP
+    return [ip, null].some(candidate => {
+        const expected = signPlayback(streamId, expires, candidate);
+        return expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
     });
 };
 
-app.post('/api/stream/start', async (req, res) => {
-    let safeStreamId = null;
-    
-    try {
-        const { flvUrl, streamId } = req.body;
+// Entries are exact hosts (optionally with a port) or "*.domain" for every subdomain
+const matchesHostList = (list, host) => {
+    const hostname = host.replace(/:\d+$/, '');
+    return list.some(allowed => allowed.startsWith('*.')
+        ? hostname.endsWith(allowed.slice(1))
+        : allowed === host || allowed === hostname);
+};
 
-        if (!flvUrl || !streamId) {
-            return res.status(400).json({
-                success: false,
-                message: 'flvUrl and streamId are required'
-            });
-        }
+const isForwardedHostAllowed = (host) => matchesHostList(config.forwardedHosts, host);
 
-        if (!isValidUrl(flvUrl)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid flvUrl format'
-            });
-        }
+// PUBLIC_BASE_URL wins. X-Forwarded-Host is only trusted for allow-listed hosts, otherwise any client could
+// make the API hand out links to a domain of its choosing.
+const getPublicBaseUrl = (req) => {
+    if (config.publicBaseUrl) {
+        return config.publicBaseUrl;
+    }
 
-        safeStreamId = generateSafeStreamId(streamId);
+    const forwardedHost = String(req.get('X-Forwarded-Host') || '').split(',')[0].trim().toLowerCase();
+    if (forwardedHost && isForwardedHostAllowed(forwardedHost)) {
+        const forwardedProto = String(req.get('X-Forwarded-Proto') || '').split(',')[0].trim().toLowerCase();
+        const protocol = forwardedProto === 'https' || forwardedProto === 'http' ? forwardedProto : req.protocol;
+        return `${protocol}://${forwardedHost}`;
+    }
+    return config.nodeUrl;
+};
 
-        if (activeStreams.size >= config.maxConcurrentStreams) {
-            return res.status(429).json({
-                success: false,
-                message: `Maximum concurrent streams limit reached (${config.maxConcurrentStreams})`,
-                activeStreams: activeStreams.size,
-                maxStreams: config.maxConcurrentStreams
-            });
-        }
+const getPlaybackUrl = (req, streamId, playlistName, baseUrl = getPublicBaseUrl(req)) => {
+    const url = `${baseUrl}/hls/${streamId}/${playlistName}`;
+    if (!config.playbackSecret) {
+        return { hlsUrl: url };
+    }
 
-        if (activeStreams.has(safeStreamId)) {
-            const stream = activeStreams.get(safeStreamId);
-            
-            if (!stream.process.killed) {
-                return res.json({
-                    success: true,
-                    message: 'Stream already active',
-                    hlsUrl: `http://localhost:${PORT}/hls/${safeStreamId}/playlist.m3u8`,
-                    streamId: safeStreamId,
-                    startTime: stream.startTime,
-                    uptime: Date.now() - stream.startTime,
-                    status: 'active'
-                });
-            } else {
-                activeStreams.delete(safeStreamId);
-                streamMetrics.delete(safeStreamId);
-            }
-        }
+    const { token, expiresAt } = createPlaybackToken(streamId, req.ip);
+    return { hlsUrl: `${url}?token=${token}`, hlsUrlExpiresAt: expiresAt };
+};
 
-        const streamDir = path.join(hlsDir, safeStreamId);
-        if (!fs.existsSync(streamDir)) {
-            fs.mkdirSync(streamDir, { recursive: true });
-        }
+// Stream IDs cannot contain "/", so a stream token never opens a recording and the other way round
+const recordingTokenSubject = (recordingId) => `recording/${recordingId}`;
+
+const getRecordingPlaybackUrl = (req, recordingId) => {
+    const url = `${getPublicBaseUrl(req)}/recordings/${recordingId}/playlist.m3u8`;
+    if (!config.playbackSecret) {
+        return { playbackUrl: url };
+    }
 
-        console.log(`🚀 Starting FFmpeg for stream ${safeStreamId}`);
-        console.log(`📹 Input: ${flvUrl}`);
-        console.log(`📂 Output: ${streamDir}`);
+    const { token, expiresAt } = createPlaybackToken(recordingTokenSubject(recordingId), req.ip);
+    return { playbackUrl: `${url}?token=${token}`, playbackUrlExpiresAt: expiresAt };
+};
 
-        const ffmpeg = createFFmpegProcess(flvUrl, streamDir, safeStreamId);
+const verifyPlaybackToken = (req, res, next) => {
+    if (!config.playbackSecret) {
+        return next();
+    }
 
-        let ffmpegReady = false;
-        let errorOccurred = false;
-        let lastErrorMessage = '';
+    const match = req.path.match(/^\/([^/]+)\//);
+    if (!match || !isValidPlaybackToken(match[1], req.query.token, req.ip)) {
+        return res.status(403).send('Invalid or expired playback token');
+    }
 
-        streamMetrics.set(safeStreamId, {
-            startTime: Date.now(),
-            reconnectCount: 0,
-            errorCount: 0,
-            lastError: null,
-            segmentCount: 0,
-            lastSegmentTime: null
-        });
+    req.playbackToken = req.query.token;
+    next();
+};
 
-        ffmpeg.stdout.on('data', (data) => {
-            const output = data.toString();
-            console.log(`📺 FFmpeg stdout [${safeStreamId}]:`, output.trim());
-            
-            if (output.includes('muxer does not support non seekable output') || 
-                output.includes('Opening \'') ||
-                output.includes('hls muxer')) {
-                ffmpegReady = true;
+// Every URI in a served playlist carries the token so players can fetch segments, parts and variants
+const addTokenToPlaylist = (content, token) => {
+    const withToken = (uri) => `${uri}${uri.includes('?') ? '&' : '?'}token=${token}`;
+    return content
+        .split('\n')
+        .map(line => {
+            if (line && !line.startsWith('#')) {
+                return withToken(line);
             }
-        });
+            return line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${withToken(uri)}"`);
+        })
+        .join('\n');
+};
 
-        ffmpeg.stderr.on('data', (data) => {
-            const output = data.toString();
-            console.log(`🔧 FFmpeg stderr [${safeStreamId}]:`, output.trim());
-            
-            const metrics = streamMetrics.get(safeStreamId);
-            if (metrics) {
-                if (output.includes('Opening') || 
-                    output.includes('Stream #0') || 
-                    output.includes('Output #0') ||
-                    output.includes('hls @')) {
-                    ffmpegReady = true;
-                }
-                
-                if (output.includes('reconnect')) {
-                    metrics.reconnectCount++;
-                    console.log(`🔄 Reconnect count for ${safeStreamId}: ${metrics.reconnectCount}`);
-                }
-                
-                if (output.includes('error') || output.includes('failed') || output.includes('Cannot')) {
-                    metrics.errorCount++;
-                    metrics.lastError = output.trim();
-                    lastErrorMessage = output.trim();
-                    
-                    if (output.includes('Connection refused') || 
-                        output.includes('No route to host') ||
-                        output.includes('Invalid data found') ||
-                        output.includes('Server returned 404 Not Found') ||
-                        output.includes('HTTP error 404') ||
-                        metrics.errorCount > 10) {
-                        errorOccurred = true;
-                    }
+// Media URIs go to the CDN, playlists stay on the origin so they are always fresh. Keys are served by the API
+// and keep their root-relative URIs.
+const addCdnToPlaylist = (content, playlistDir) => {
+    const toCdn = (uri) => /^([a-z]+:)?\/\//i.test(uri) || uri.startsWith('/') || uri.split('?')[0].endsWith('.m3u8')
+        ? uri
+        : `${config.cdnBaseUrl}${path.posix.join(playlistDir, uri)}`;
+    return content
+        .split('\n')
+        .map(line => {
+            if (line && !line.startsWith('#')) {
+                return toCdn(line);
+            }
+            return line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${toCdn(uri)}"`);
+        })
+        .join('\n');
+};
+
+const sendPlaylist = (req, res, content, modifiedAt) => {
+    if (modifiedAt) {
+        res.setHeader('Last-Modified', modifiedAt.toUTCString());
+    }
+    const output = config.cdnBaseUrl && req.baseUrl === '/hls' ? addCdnToPlaylist(content, req.baseUrl + path.posix.dirname(req.path)) : content;
+    // res.send adds the ETag and answers conditional requests with 304
+    res.send(req.playbackToken ? addTokenToPlaylist(output, req.playbackToken) : output);
+};
+
+// Static playlists only need to go through here when their URIs must be rewritten
+const serveRewrittenPlaylist = (req, res, next) => {
+    if ((!req.playbackToken && !config.cdnBaseUrl) || !req.path.endsWith('.m3u8')) {
+        return next();
+    }
+
+    let playlistPath;
+    try {
+        playlistPath = path.join(hlsDir, decodeURIComponent(req.path));
+    } catch (_) {
+        return res.status(400).send('Invalid path');
+    }
+    if (!playlistPath.startsWith(hlsDir + path.sep)) {
+        return next();
+    }
+
+    sendPlaylistFile(req, res, next, playlistPath);
+};
+
+const sendPlaylistFile = (req, res, next, playlistPath) => {
+    fs.stat(playlistPath, (statError, stats) => {
+        if (statError) {
+            return next();
+        }
+        fs.readFile(playlistPath, 'utf8', (error, content) => {
+            if (error) {
+                return next();
+            }
+            sendPlaylist(req, res, content, stats.mtime);
+        });
+    });
+};
+
+// Tokens and on-demand starts go by the first path segment, while express.static resolves "..". Without this
+// /hls/a/../b/playlist.m3u8 would be checked against stream a and serve stream b.
+const rejectDotSegments = (req, res, next) => {
+    let filePath;
+    try {
+        filePath = decodeURIComponent(req.path);
+    } catch (_) {
+        return res.status(400).send('Invalid path');
+    }
+    if (filePath.split('/').includes('..')) {
+        return res.status(404).send('Not found');
+    }
+    next();
+};
+
+app.use('/hls', rejectDotSegments, trackHlsRequest, setHlsHeaders, verifyPlaybackToken, (req, res, next) => {
+    startOnDemand(req, res, next).catch(next);
+}, (req, res, next) => {
+    serveLowLatency(req, res, next).catch(next);
+}, (req, res, next) => {
+    serveDvrPlaylist(req, res, next);
+}, (req, res, next) => {
+    serveThumbnailTrack(req, res, next);
+}, (req, res, next) => {
+    serveMemoryFile(req, res, next);
+}, serveRewrittenPlaylist, express.static(config.hlsDir));
+
+const activeStreams = new Map();
+const streamMetrics = new Map();
+
+let shuttingDown = false;
+
+const createJsonStreamStore = (filePath) => {
+    let entries = {};
+    try {
+        if (fs.existsSync(filePath)) {
+            entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+    } catch (error) {
+        console.error(`❌ Could not read stream registry ${filePath}:`, error.message);
+    }
+
+    const persist = () => {
+        // Write-then-rename so a crash never leaves a half written registry behind
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(entries, null, 4));
+        fs.renameSync(tempPath, filePath);
+    };
+
+    return {
+        type: 'json',
+        list: () => Object.values(entries),
+        get: (streamId) => entries[streamId] || null,
+        save: (definition) => {
+            entries[definition.streamId] = definition;
+            persist();
+        },
+        remove: (streamId) => {
+            if (entries[streamId]) {
+                delete entries[streamId];
+                persist();
+            }
+        }
+    };
+};
+
+const createMemoryStreamStore = () => {
+    const entries = new Map();
+    return {
+        type: 'memory',
+        list: () => Array.from(entries.values()),
+        get: (streamId) => entries.get(streamId) || null,
+        save: (definition) => entries.set(definition.streamId, definition),
+        remove: (streamId) => entries.delete(streamId)
+    };
+};
+
+const streamStoreFactories = {
+    json: () => createJsonStreamStore(config.streamStoreFile),
+    memory: createMemoryStreamStore
+};
+
+if (!streamStoreFactories[config.streamStore]) {
+    console.warn(`⚠️ Unknown STREAM_STORE "${config.streamStore}", falling back to json`);
+}
+const streamStore = (streamStoreFactories[config.streamStore] || streamStoreFactories.json)();
+
+// Minimal RESP client, only what the cluster state needs, so Redis works without an extra dependency
+const createRedisClient = (redisUrl) => {
+    const target = new URL(redisUrl);
+    const pending = [];
+    let socket = null;
+    let buffer = Buffer.alloc(0);
+
+    const parseReply = (offset) => {
+        const lineEnd = buffer.indexOf('\r\n', offset);
+        if (lineEnd === -1) {
+            return null;
+        }
+        const type = String.fromCharCode(buffer[offset]);
+        const line = buffer.toString('utf8', offset + 1, lineEnd);
+
+        if (type === '+' || type === ':') {
+            return { value: type === ':' ? Number(line) : line, next: lineEnd + 2 };
+        }
+        if (type === '-') {
+            return { value: new Error(line), next: lineEnd + 2 };
+        }
+        if (type === '$') {
+            const length = Number(line);
+            if (length === -1) {
+                return { value: null, next: lineEnd + 2 };
+            }
+            if (buffer.length < lineEnd + 4 + length) {
+                return null;
+            }
+            return { value: buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length), next: lineEnd + 4 + length };
+        }
+        if (type === '*') {
+            const items = [];
+            let next = lineEnd + 2;
+            for (let i = 0; i < Number(line); i++) {
+                const item = parseReply(next);
+                if (!item) {
+                    return null;
                 }
-                
-                if (output.includes('.ts') || output.includes('segment')) {
-                    metrics.segmentCount++;
-                    metrics.lastSegmentTime = Date.now();
+                items.push(item.value);
+                next = item.next;
+            }
+            return { value: items, next };
+        }
+        throw new Error(`Unexpected Redis reply type "${type}"`);
+    };
+
+    const send = (args, resolve, reject) => {
+        pending.push({ resolve, reject });
+        socket.write(`*${args.length}\r\n${args.map(arg => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join('')}`);
+    };
+
+    const connect = () => {
+        socket = net.createConnection({ host: target.hostname, port: parseInt(target.port || '6379') });
+        buffer = Buffer.alloc(0);
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let reply;
+            while (pending.length > 0 && (reply = parseReply(0))) {
+                buffer = buffer.subarray(reply.next);
+                const { resolve, reject } = pending.shift();
+                if (reply.value instanceof Error) {
+                    reject(reply.value);
+                } else {
+                    resolve(reply.value);
                 }
             }
         });
 
-        ffmpeg.on('close', (code) => {
-            console.log(`⛔ FFmpeg process [${safeStreamId}] exited with code ${code}`);
-            activeStreams.delete(safeStreamId);
-            
-            const metrics = streamMetrics.get(safeStreamId);
-            if (metrics) {
-                console.log(`📊 Final metrics for ${safeStreamId}:`, {
-                    uptime: Date.now() - metrics.startTime,
-                    reconnects: metrics.reconnectCount,
-                    errors: metrics.errorCount,
-                    segments: metrics.segmentCount
-                });
-            }
-            
-            cleanupStreamDirectory(safeStreamId);
+        const fail = (error) => {
+            socket = null;
+            for (const { reject } of pending.splice(0)) {
+                reject(error);
+            }
+        };
+        socket.on('error', fail);
+        socket.on('close', () => fail(new Error('Redis connection closed')));
+
+        // Queued ahead of the first command, replies arrive in order
+        const logFailure = (error) => console.error('❌ Redis setup command failed:', error.message);
+        if (target.password) {
+            send(target.username ? ['AUTH', decodeURIComponent(target.username), decodeURIComponent(target.password)] : ['AUTH', decodeURIComponent(target.password)], () => {}, logFailure);
+        }
+        if (target.pathname.length > 1) {
+            send(['SELECT', target.pathname.slice(1)], () => {}, logFailure);
+        }
+    };
+
+    return {
+        command: (...args) => new Promise((resolve, reject) => {
+            if (!socket) {
+                connect();
+            }
+            send(args, resolve, reject);
+        })
+    };
+};
+
+// Cluster state is a set of hashes (nodes, placements) with JSON values, every backend is async so Redis fits the same shape
+const createMemoryClusterStore = () => {
+    const hashes = new Map();
+    const hash = (name) => {
+        if (!hashes.has(name)) {
+            hashes.set(name, new Map());
+        }
+        return hashes.get(name);
+    };
+
+    return {
+        type: 'memory',
+        get: async (name, field) => hash(name).get(field) || null,
+        getAll: async (name) => Object.fromEntries(hash(name)),
+        set: async (name, field, value) => { hash(name).set(field, value); },
+        remove: async (name, field) => { hash(name).delete(field); }
+    };
+};
+
+// Local stand-in for Redis, nodes on one host share the file and every call re-reads it
+const createFileClusterStore = (filePath) => {
+    const read = () => {
+        try {
+            return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+        } catch (error) {
+            console.error(`❌ Could not read cluster state ${filePath}:`, error.message);
+            return {};
+        }
+    };
+    const write = (state) => {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(state, null, 4));
+        fs.renameSync(tempPath, filePath);
+    };
+    const update = (name, change) => {
+        const state = read();
+        state[name] = state[name] || {};
+        change(state[name]);
+        write(state);
+    };
+
+    return {
+        type: 'file',
+        get: async (name, field) => (read()[name] || {})[field] || null,
+        getAll: async (name) => read()[name] || {},
+        set: async (name, field, value) => update(name, (hash) => { hash[field] = value; }),
+        remove: async (name, field) => update(name, (hash) => { delete hash[field]; })
+    };
+};
+
+const createRedisClusterStore = (redisUrl) => {
+    const redis = createRedisClient(redisUrl);
+    const key = (name) => `flv-hls:cluster:${name}`;
+
+    return {
+        type: 'redis',
+        get: async (name, field) => {
+            const value = await redis.command('HGET', key(name), field);
+            return value ? JSON.parse(value) : null;
+        },
+        getAll: async (name) => {
+            const values = await redis.command('HGETALL', key(name));
+            const entries = {};
+            for (let i = 0; i < values.length; i += 2) {
+                entries[values[i]] = JSON.parse(values[i + 1]);
+            }
+            return entries;
+        },
+        set: async (name, field, value) => { await redis.command('HSET', key(name), field, JSON.stringify(value)); },
+        remove: async (name, field) => { await redis.command('HDEL', key(name), field); }
+    };
+};
+
+const clusterStoreFactories = {
+    memory: createMemoryClusterStore,
+    file: () => createFileClusterStore(config.clusterStoreFile),
+    redis: () => createRedisClusterStore(config.redisUrl)
+};
+
+if (!clusterStoreFactories[config.clusterStore]) {
+    console.warn(`⚠️ Unknown CLUSTER_STORE "${config.clusterStore}", falling back to memory`);
+}
+const clusterStore = (clusterStoreFactories[config.clusterStore] || clusterStoreFactories.memory)();
+
+const hlsDir = config.hlsDir;
+if (!fs.existsSync(hlsDir)) {
+    fs.mkdirSync(hlsDir, { recursive: true });
+}
+
+// Segments of memory-backed streams, oldest first per variant directory. FFmpeg deletes the ones that left
+// the playlist, the ring bound only matters when a delete never arrives.
+const memoryRingSlack = 4;
+const memoryIngestMaxBytes = 64 * 1024 * 1024;
+
+const createMemorySegmentStore = (streamId) => {
+    const token = crypto.randomBytes(16).toString('hex');
+    const files = new Map();
+    const rings = new Map();
+    const stats = { bytes: 0, evicted: 0 };
+
+    const drop = (name) => {
+        const file = files.get(name);
+        if (file) {
+            stats.bytes -= file.data.length;
+            files.delete(name);
+        }
+    };
+
+    const remove = (name) => {
+        drop(name);
+        const ring = rings.get(path.posix.dirname(name));
+        if (ring && ring.includes(name)) {
+            ring.splice(ring.indexOf(name), 1);
+        }
+    };
+
+    const put = (name, data) => {
+        remove(name);
+        const modifiedAt = new Date();
+        files.set(name, { data, modifiedAt, etag: `W/"${data.length.toString(16)}-${modifiedAt.getTime().toString(16)}"` });
+        stats.bytes += data.length;
+
+        if (!/\.(ts|m4s)$/.test(name)) {
+            return;
+        }
+        const dir = path.posix.dirname(name);
+        if (!rings.has(dir)) {
+            rings.set(dir, []);
+        }
+        const ring = rings.get(dir);
+        ring.push(name);
+        while (ring.length > config.maxSegments + memoryRingSlack) {
+            drop(ring.shift());
+            stats.evicted++;
+        }
+    };
+
+    return {
+        token,
+        ingestUrl: `http://127.0.0.1:${PORT}/ingest/${streamId}/${token}`,
+        get: (name) => files.get(name),
+        put,
+        remove,
+        list: (dir) => Array.from(files.keys())
+            .filter(name => path.posix.dirname(name) === (dir || '.'))
+            .map(name => path.posix.basename(name)),
+        getStatus: () => ({ files: files.size, bytes: stats.bytes, evicted: stats.evicted })
+    };
+};
+
+const memoryStores = new Map();
+
+// Callers keep using hls/<streamId>/... paths, memory-backed streams are resolved here
+const findMemoryFile = (filePath) => {
+    const relative = path.relative(hlsDir, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        return null;
+    }
+    const [streamId, ...rest] = relative.split(path.sep);
+    const store = memoryStores.get(streamId);
+    return store ? { store, name: rest.join('/') } : null;
+};
+
+const missingMemoryFile = (filePath) => Object.assign(new Error(`ENOENT: no such file in memory, '${filePath}'`), { code: 'ENOENT' });
+
+const readHlsFile = (filePath, encoding) => {
+    const location = findMemoryFile(filePath);
+    if (!location) {
+        return fs.readFileSync(filePath, encoding);
+    }
+    const file = location.store.get(location.name);
+    if (!file) {
+        throw missingMemoryFile(filePath);
+    }
+    return encoding ? file.data.toString(encoding) : file.data;
+};
+
+const writeHlsFile = (filePath, content) => {
+    const location = findMemoryFile(filePath);
+    if (location) {
+        location.store.put(location.name, Buffer.from(content));
+    } else {
+        fs.writeFileSync(filePath, content);
+    }
+};
+
+const getHlsFileMtime = (filePath) => {
+    const location = findMemoryFile(filePath);
+    if (!location) {
+        return fs.statSync(filePath).mtimeMs;
+    }
+    const file = location.store.get(location.name);
+    if (!file) {
+        throw missingMemoryFile(filePath);
+    }
+    return file.modifiedAt.getTime();
+};
+
+const hlsFileExists = (filePath) => {
+    const location = findMemoryFile(filePath);
+    return location ? !!location.store.get(location.name) : fs.existsSync(filePath);
+};
+
+const listHlsFiles = (dir) => {
+    const location = findMemoryFile(dir);
+    if (location) {
+        return location.store.list(location.name);
+    }
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+};
+
+// Hard links are free when the target lives on the same filesystem as hls/
+const copyHlsFile = (filePath, target) => {
+    if (findMemoryFile(filePath)) {
+        fs.writeFileSync(target, readHlsFile(filePath));
+        return;
+    }
+    try {
+        fs.linkSync(filePath, target);
+    } catch (_) {
+        fs.copyFileSync(filePath, target);
+    }
+};
+
+const isLoopbackRequest = (req) => ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+
+const hasValidIngestToken = (streamId, token) => {
+    const store = memoryStores.get(streamId);
+    return !!store && typeof token === 'string' && token.length === store.token.length &&
+        crypto.timingSafeEqual(Buffer.from(token), Buffer.from(store.token));
+};
+
+// FFmpeg writes memory-backed streams here: segments and playlists are PUT, expired segments DELETEd,
+// and with append_list the playlist is read back when a restarted process continues it
+app.all('/ingest/:streamId/:token/*', (req, res) => {
+    const { streamId, token } = req.params;
+    if (!isLoopbackRequest(req) || !hasValidIngestToken(streamId, token)) {
+        return res.status(403).end();
+    }
+
+    const store = memoryStores.get(streamId);
+    const name = path.posix.normalize(req.params[0]);
+    if (name.startsWith('..') || path.posix.isAbsolute(name)) {
+        return res.status(400).end();
+    }
+
+    if (req.method === 'GET') {
+        const file = store.get(name);
+        if (file) {
+            return res.end(file.data);
+        }
+        // A 404 would be logged by FFmpeg as a critical input error, an empty playlist just starts a new one
+        return name.endsWith('.m3u8') ? res.end('#EXTM3U\n') : res.status(404).end();
+    }
+
+    if (req.method === 'DELETE') {
+        store.remove(name);
+        return res.status(204).end();
+    }
+
+    if (req.method !== 'PUT' && req.method !== 'POST') {
+        return res.status(405).end();
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > memoryIngestMaxBytes) {
+            res.status(413).end();
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        // The stream may have been cleaned up while the upload was running
+        if (memoryStores.get(streamId) === store) {
+            store.put(name, Buffer.concat(chunks));
+        }
+        res.status(201).end();
+    });
+});
+
+const serveMemoryFile = (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return next();
+    }
+
+    let location;
+    try {
+        location = findMemoryFile(path.join(hlsDir, decodeURIComponent(req.path)));
+    } catch (_) {
+        return res.status(400).send('Invalid path');
+    }
+    const file = location ? location.store.get(location.name) : null;
+    if (!file) {
+        return next();
+    }
+
+    if (req.path.endsWith('.m3u8')) {
+        return sendPlaylist(req, res, file.data.toString('utf8'), file.modifiedAt);
+    }
+
+    res.setHeader('Last-Modified', file.modifiedAt.toUTCString());
+    res.setHeader('ETag', file.etag);
+    res.removeHeader('Accept-Ranges');
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    res.setHeader('Content-Length', file.data.length);
+    res.end(req.method === 'HEAD' ? undefined : file.data);
+};
+
+// Only playable files are served, recording.json names the owner and remux.m3u8 the key paths on disk
+const recordingInternalFiles = ['recording.json', 'remux.m3u8'];
+
+// Recording playback goes through the same ownership check as GET /api/recordings/:recordingId
+const verifyRecordingAccess = (req, res, next) => {
+    let filePath;
+    try {
+        filePath = decodeURIComponent(req.path);
+    } catch (_) {
+        return res.status(400).send('Invalid path');
+    }
+
+    // express.static resolves "..", which would let one recording's check open another recording
+    const match = filePath.match(/^\/([^/]+)\/(.+)$/);
+    const recordingId = match ? generateSafeStreamId(match[1]) : null;
+    const meta = recordingId === (match && match[1]) && !match[2].split('/').includes('..') ? readRecordingMeta(recordingId) : null;
+    if (!meta || recordingInternalFiles.includes(match[2])) {
+        return res.status(404).send('Recording not found');
+    }
+
+    if (config.playbackSecret && req.query.token !== undefined) {
+        if (!isValidPlaybackToken(recordingTokenSubject(recordingId), req.query.token, req.ip)) {
+            return res.status(403).send('Invalid or expired playback token');
+        }
+        req.playbackToken = req.query.token;
+        return next();
+    }
+
+    requireScope('read')(req, res, () => {
+        if (!canAccess(req, meta.owner)) {
+            return sendForbidden(res, { recordingId: recordingId });
+        }
+        next();
+    });
+};
+
+// With a token every URI in the playlist, and every sprite in the thumbnail track, has to carry it as well
+const serveTokenizedRecordingFile = (req, res, next) => {
+    if (!req.playbackToken || !/\.(m3u8|vtt)$/.test(req.path)) {
+        return next();
+    }
+
+    const filePath = path.join(config.recordingsDir, decodeURIComponent(req.path));
+    if (req.path.endsWith('.m3u8')) {
+        return sendPlaylistFile(req, res, next, filePath);
+    }
+
+    fs.readFile(filePath, 'utf8', (error, content) => {
+        if (error) {
+            return next();
+        }
+        res.send(content.replace(/^(sprites\/[^#\s]+)#/gm, `$1?token=${req.playbackToken}#`));
+    });
+};
+
+app.use('/recordings', setHlsHeaders, verifyRecordingAccess, serveTokenizedRecordingFile, express.static(config.recordingsDir, { index: false }));
+
+const isValidUrl = (string) => {
+    try {
+        const url = new URL(string);
+        return url.protocol === 'http:' || url.protocol === 'https:' || url.protocol === 'rtmp:' || url.protocol === 'rtsp:';
+    } catch (_) {
+        return false;
+    }
+};
+
+const generateSafeStreamId = (inputId) => {
+    return inputId.replace(/[^a-zA-Z0-9_-]/g, '_');
+};
+
+const loadProfiles = () => {
+    try {
+        return JSON.parse(fs.readFileSync(config.profilesFile, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not load transcoding profiles from ${config.profilesFile}:`, error.message);
+        return {};
+    }
+};
+
+const transcodingProfiles = loadProfiles();
+
+const videoSettingKeys = ['preset', 'tune', 'videoProfile', 'level', 'frameRate', 'gop', 'keyintMin', 'videoBitrate', 'maxrate', 'bufsize'];
+const audioSettingKeys = ['audioBitrate', 'sampleRate', 'channels'];
+
+const profileOverrideRules = {
+    preset: { values: ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium'] },
+    tune: { values: ['zerolatency', 'film', 'animation', 'fastdecode'] },
+    videoProfile: { values: ['baseline', 'main', 'high'] },
+    level: { values: ['3.0', '3.1', '4.0', '4.1', '4.2'] },
+    frameRate: { min: 1, max: 60 },
+    gop: { min: 1, max: 600 },
+    keyintMin: { min: 1, max: 600 },
+    videoBitrate: { min: 100, max: 20000 },
+    maxrate: { min: 100, max: 24000 },
+    bufsize: { min: 100, max: 40000 },
+    audioBitrate: { min: 32, max: 320 },
+    sampleRate: { values: [8000, 16000, 22050, 32000, 44100, 48000] },
+    channels: { min: 1, max: 2 }
+};
+
+const resolveTranscodingSettings = (profileName, overrides) => {
+    const name = profileName || config.defaultProfile;
+    const profile = transcodingProfiles[name];
+
+    if (!profile) {
+        return { error: `Unknown profile "${name}". Available: ${Object.keys(transcodingProfiles).join(', ')}` };
+    }
+
+    const { description, ...settings } = profile;
+
+    if (overrides === undefined || overrides === null) {
+        return { profile: name, settings };
+    }
+
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { error: 'overrides must be an object' };
+    }
+
+    for (const [key, rawValue] of Object.entries(overrides)) {
+        const rule = profileOverrideRules[key];
+        if (!rule) {
+            return { error: `Override "${key}" is not allowed` };
+        }
+
+        if (videoSettingKeys.includes(key) && (!settings.videoCodec || settings.videoCodec === 'copy')) {
+            return { error: `Profile "${name}" does not encode video, "${key}" cannot be overridden` };
+        }
+        if (audioSettingKeys.includes(key) && (!settings.audioCodec || settings.audioCodec === 'copy')) {
+            return { error: `Profile "${name}" does not encode audio, "${key}" cannot be overridden` };
+        }
+
+        if (rule.values) {
+            const value = typeof rule.values[0] === 'number' ? parseInt(rawValue) : String(rawValue);
+            if (!rule.values.includes(value)) {
+                return { error: `Invalid ${key}, allowed values: ${rule.values.join(', ')}` };
+            }
+            settings[key] = value;
+        } else {
+            const value = Number(rawValue);
+            if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+                return { error: `Invalid ${key}, allowed range: ${rule.min}-${rule.max}` };
+            }
+            settings[key] = value;
+        }
+    }
+
+    if (settings.maxrate && settings.videoBitrate > settings.maxrate) {
+        return { error: 'videoBitrate cannot be higher than maxrate' };
+    }
+
+    return { profile: name, settings };
+};
+
+const checkFFmpegHealth = () => {
+    return new Promise((resolve) => {
+        const ffmpeg = spawn('ffmpeg', ['-version'], { stdio: 'ignore' });
+        let resolved = false;
+        
+        const timeout = setTimeout(() => {
+            if (!resolved) {
+                resolved = true;
+                resolve(false);
+            }
+        }, 5000);
+
+        ffmpeg.on('close', (code) => {
+            if (!resolved) {
+                resolved = true;
+                clearTimeout(timeout);
+                resolve(code === 0);
+            }
+        });
+
+        ffmpeg.on('error', () => {
+            if (!resolved) {
+                resolved = true;
+                clearTimeout(timeout);
+                resolve(false);
+            }
+        });
+    });
+};
+
+const probeErrors = [
+    { code: 'dns', status: 502, message: 'Source host could not be resolved', patterns: ['Name or service not known', 'Temporary failure in name resolution', 'Failed to resolve hostname', 'nodename nor servname'] },
+    { code: 'refused', status: 502, message: 'Source refused the connection', patterns: ['Connection refused'] },
+    { code: 'unreachable', status: 502, message: 'Source network is unreachable', patterns: ['No route to host', 'Network is unreachable'] },
+    { code: 'unauthorized', status: 502, message: 'Source requires authentication', patterns: ['401 Unauthorized'] },
+    { code: 'forbidden', status: 502, message: 'Source denied access', patterns: ['403 Forbidden'] },
+    { code: 'not_found', status: 502, message: 'Source stream was not found', patterns: ['404 Not Found', 'No such file or directory'] },
+    { code: 'timeout', status: 504, message: 'Source did not respond in time', patterns: ['Connection timed out', 'timed out'] },
+    { code: 'invalid_data', status: 502, message: 'Source is not a readable media stream', patterns: ['Invalid data found when processing input', 'could not find codec parameters'] }
+];
+
+const probeError = (code, details) => {
+    const known = probeErrors.find(entry => entry.code === code);
+    return {
+        code: code,
+        status: known ? known.status : 502,
+        message: known ? known.message : (code === 'no_streams' ? 'Source has no audio or video streams' : code === 'probe_unavailable' ? 'ffprobe is not available on this server' : 'Source could not be probed'),
+        details: details ? details.trim().split('\n').slice(-3).join('\n') : null
+    };
+};
+
+const classifyProbeOutput = (output) => {
+    const match = probeErrors.find(entry => entry.patterns.some(pattern => output.includes(pattern)));
+    return probeError(match ? match.code : 'unknown', output);
+};
+
+const parseFrameRate = (value) => {
+    const [num, den] = String(value || '').split('/').map(Number);
+    if (!num || !den) {
+        return null;
+    }
+    return Math.round(num / den * 100) / 100;
+};
+
+const toKbps = (value) => value ? Math.round(Number(value) / 1000) : null;
+
+// Passthrough only when players can take the source codecs as they are, everything else is transcoded
+const selectProfileForProbe = (probe, body = {}) => {
+    const pick = (name) => transcodingProfiles[name] ? name : config.defaultProfile;
+
+    if (body.lowLatency === true || body.renditions || body.overrides) {
+        return config.defaultProfile;
+    }
+    if (!probe.video) {
+        return probe.audio ? pick('audio-only') : config.defaultProfile;
+    }
+    if (probe.video.codec !== 'h264' || (probe.video.pixFmt && !['yuv420p', 'yuvj420p'].includes(probe.video.pixFmt))) {
+        return config.defaultProfile;
+    }
+    return !probe.audio || probe.audio.codec === 'aac' ? pick('passthrough') : pick('passthrough-video');
+};
+
+const probeSource = (flvUrl) => {
+    return new Promise((resolve) => {
+        const startedAt = Date.now();
+        const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams'];
+        if (new URL(flvUrl).protocol !== 'rtmp:') {
+            args.push('-rw_timeout', String(config.probeTimeout * 1000));
+        }
+        args.push(flvUrl);
+
+        const ffprobe = spawn('ffprobe', args);
+        let stdout = '';
+        let stderr = '';
+        let resolved = false;
+
+        const finish = (result) => {
+            if (!resolved) {
+                resolved = true;
+                clearTimeout(timer);
+                resolve({ ...result, durationMs: Date.now() - startedAt });
+            }
+        };
+
+        // rw_timeout does not cover every protocol, the hard limit makes sure the probe always returns
+        const timer = setTimeout(() => {
+            ffprobe.kill('SIGKILL');
+            finish({ success: false, error: probeError('timeout', stderr) });
+        }, config.probeTimeout + 2000);
+
+        ffprobe.stdout.on('data', (data) => { stdout += data; });
+        ffprobe.stderr.on('data', (data) => { stderr += data; });
+
+        ffprobe.on('error', (error) => {
+            finish({ success: false, error: probeError(error.code === 'ENOENT' ? 'probe_unavailable' : 'unknown', error.message) });
+        });
+
+        ffprobe.on('close', (code) => {
+            if (code !== 0) {
+                return finish({ success: false, error: classifyProbeOutput(stderr) });
+            }
+
+            let parsed;
+            try {
+                parsed = JSON.parse(stdout);
+            } catch (error) {
+                return finish({ success: false, error: probeError('invalid_data', stderr || error.message) });
+            }
+
+            const streams = parsed.streams || [];
+            const video = streams.find(stream => stream.codec_type === 'video');
+            const audio = streams.find(stream => stream.codec_type === 'audio');
+            if (!video && !audio) {
+                return finish({ success: false, error: probeError('no_streams', stderr) });
+            }
+
+            const format = parsed.format || {};
+            const probe = {
+                container: format.format_name || null,
+                bitrateKbps: toKbps(format.bit_rate),
+                video: video ? {
+                    codec: video.codec_name,
+                    profile: video.profile || null,
+                    width: video.width || null,
+                    height: video.height || null,
+                    fps: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate),
+                    pixFmt: video.pix_fmt || null,
+                    bitrateKbps: toKbps(video.bit_rate)
+                } : null,
+                audio: audio ? {
+                    codec: audio.codec_name,
+                    sampleRate: audio.sample_rate ? Number(audio.sample_rate) : null,
+                    channels: audio.channels || null,
+                    channelLayout: audio.channel_layout || null,
+                    bitrateKbps: toKbps(audio.bit_rate)
+                } : null
+            };
+            probe.recommendedProfile = selectProfileForProbe(probe);
+
+            finish({ success: true, probe });
+        });
+    });
+};
+
+// Replaces profile "auto" with the profile that fits the probed source
+const resolveAutoProfile = async (flvUrl, body) => {
+    if (body.profile !== 'auto') {
+        return { body, probe: null };
+    }
+
+    const result = await probeSource(flvUrl);
+    if (!result.success) {
+        if (result.error.code !== 'probe_unavailable') {
+            return { error: result.error };
+        }
+        console.warn(`⚠️ ffprobe is not available, profile "auto" falls back to ${config.defaultProfile}`);
+        return { body: { ...body, profile: config.defaultProfile }, probe: null };
+    }
+
+    const profile = selectProfileForProbe(result.probe, body);
+    console.log(`🔍 Probed ${flvUrl}: ${result.probe.video ? result.probe.video.codec : 'no video'}/${result.probe.audio ? result.probe.audio.codec : 'no audio'}, using profile ${profile}`);
+    return { body: { ...body, profile }, probe: result.probe };
+};
+
+const waitForPlaylist = (playlistPath, timeout = 45000) => {
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        const checkPlaylist = () => {
+            if (hlsFileExists(playlistPath)) {
+                try {
+                    const content = readHlsFile(playlistPath, 'utf8');
+                    if (content.includes('#EXTM3U')) {
+                        const segments = content.match(/\.(ts|m4s)/g);
+                        if (segments && segments.length > 0) {
+                            resolve(true);
+                            return;
+                        }
+                    }
+                } catch (error) {
+                    console.log("error :", error);
+                }
+            }
+            
+            if (Date.now() - startTime > timeout) {
+                reject(new Error('Timeout waiting for playlist'));
+                return;
+            }
+            
+            setTimeout(checkPlaylist, 1500);
+        };
+        checkPlaylist();
+    });
+};
+
+const cleanupStreamDirectory = (streamId) => {
+    const streamDir = path.join(hlsDir, streamId);
+    
+    setTimeout(() => {
+        // The stream may have been started again in the meantime
+        if (activeStreams.has(streamId)) {
+            return;
+        }
+        memoryStores.delete(streamId);
+
+        try {
+            if (fs.existsSync(streamDir)) {
+                const files = fs.readdirSync(streamDir);
+                for (const file of files) {
+                    try {
+                        fs.rmSync(path.join(streamDir, file), { recursive: true, force: true });
+                    } catch (fileError) {
+                        console.warn(`Warning: Could not delete file ${file}:`, fileError.message);
+                    }
+                }
+                
+                fs.rmdirSync(streamDir);
+                console.log(`🧹 Cleaned up directory for stream ${streamId}`);
+            }
+        } catch (error) {
+            console.error(`❌ Error cleaning up stream directory ${streamId}:`, error);
+        }
+    }, 5000);
+};
+
+const renditionPresets = {
+    '1080p': { width: 1920, height: 1080, videoBitrate: 5000, audioBitrate: 128, profile: 'high', level: '4.0' },
+    '720p': { width: 1280, height: 720, videoBitrate: 2800, audioBitrate: 128, profile: 'main', level: '3.1' },
+    '480p': { width: 854, height: 480, videoBitrate: 1400, audioBitrate: 96, profile: 'main', level: '3.0' },
+    '360p': { width: 640, height: 360, videoBitrate: 800, audioBitrate: 96, profile: 'baseline', level: '3.0' },
+    '240p': { width: 426, height: 240, videoBitrate: 400, audioBitrate: 64, profile: 'baseline', level: '3.0' }
+};
+
+const h264CodecTags = {
+    'baseline': '42e0',
+    'main': '4d40',
+    'high': '6400'
+};
+
+const parseRenditions = (input) => {
+    if (input === undefined || input === null) {
+        return { renditions: null };
+    }
+
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'renditions must be a non-empty array' };
+    }
+
+    if (input.length > 5) {
+        return { error: 'A maximum of 5 renditions is supported' };
+    }
+
+    const renditions = [];
+    for (const item of input) {
+        const entry = typeof item === 'string' ? { name: item } : item;
+        if (!entry || typeof entry !== 'object') {
+            return { error: 'Each rendition must be a preset name or an object' };
+        }
+
+        const preset = renditionPresets[entry.name] || renditionPresets[`${entry.height}p`] || {};
+        const rendition = {
+            name: generateSafeStreamId(String(entry.name || `${entry.height}p`)),
+            width: parseInt(entry.width || preset.width),
+            height: parseInt(entry.height || preset.height),
+            videoBitrate: parseInt(entry.videoBitrate || preset.videoBitrate),
+            audioBitrate: parseInt(entry.audioBitrate || preset.audioBitrate || 128),
+            profile: entry.profile || preset.profile || 'main',
+            level: String(entry.level || preset.level || '3.1')
+        };
+
+        if (!rendition.height || rendition.height < 144 || rendition.height > 2160) {
+            return { error: `Invalid height for rendition ${rendition.name}` };
+        }
+        if (!rendition.width) {
+            rendition.width = Math.round(rendition.height * 16 / 9 / 2) * 2;
+        }
+        if (!rendition.videoBitrate || rendition.videoBitrate < 100 || rendition.videoBitrate > 20000) {
+            return { error: `Invalid videoBitrate for rendition ${rendition.name} (100-20000 kbps)` };
+        }
+        if (rendition.audioBitrate < 32 || rendition.audioBitrate > 320) {
+            return { error: `Invalid audioBitrate for rendition ${rendition.name} (32-320 kbps)` };
+        }
+        if (!h264CodecTags[rendition.profile]) {
+            return { error: `Invalid profile for rendition ${rendition.name}` };
+        }
+        if (renditions.some(r => r.name === rendition.name)) {
+            return { error: `Duplicate rendition name ${rendition.name}` };
+        }
+
+        renditions.push(rendition);
+    }
+
+    renditions.sort((a, b) => b.videoBitrate - a.videoBitrate);
+    return { renditions };
+};
+
+const getCodecString = (rendition) => {
+    const level = Math.round(parseFloat(rendition.level) * 10).toString(16).padStart(2, '0');
+    return `avc1.${h264CodecTags[rendition.profile]}${level},mp4a.40.2`;
+};
+
+const writeMasterPlaylist = (streamDir, renditions) => {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+
+    for (const rendition of renditions) {
+        const peakBitrate = Math.round(rendition.videoBitrate * 1.2) + rendition.audioBitrate;
+        const averageBitrate = rendition.videoBitrate + rendition.audioBitrate;
+        lines.push(
+            `#EXT-X-STREAM-INF:BANDWIDTH=${peakBitrate * 1000},AVERAGE-BANDWIDTH=${averageBitrate * 1000},` +
+            `RESOLUTION=${rendition.width}x${rendition.height},CODECS="${getCodecString(rendition)}",NAME="${rendition.name}"`
+        );
+        lines.push(`${rendition.name}/playlist.m3u8`);
+    }
+
+    writeHlsFile(path.join(streamDir, 'master.m3u8'), lines.join('\n') + '\n');
+};
+
+const getMediaPlaylists = (safeStreamId, stream) => {
+    const streamDir = path.join(hlsDir, safeStreamId);
+
+    if (!stream || !stream.renditions) {
+        return [{ name: null, dir: streamDir, playlistPath: path.join(streamDir, 'playlist.m3u8') }];
+    }
+
+    return stream.renditions.map(rendition => ({
+        name: rendition.name,
+        dir: path.join(streamDir, rendition.name),
+        playlistPath: path.join(streamDir, rendition.name, 'playlist.m3u8')
+    }));
+};
+
+const getSegmentStats = (playlist) => {
+    const stats = {
+        playlistExists: hlsFileExists(playlist.playlistPath),
+        segmentCount: 0,
+        actualSegmentCount: 0
+    };
+
+    if (stats.playlistExists) {
+        try {
+            const content = readHlsFile(playlist.playlistPath, 'utf8');
+            stats.segmentCount = (content.match(/\.(ts|m4s)/g) || []).length;
+        } catch (error) {
+            console.error('Error reading playlist:', error);
+        }
+    }
+
+    try {
+        stats.actualSegmentCount = listHlsFiles(playlist.dir).filter(f => f.endsWith('.ts') || f.endsWith('.m4s')).length;
+    } catch (error) {
+        console.error('Error reading stream directory:', error);
+    }
+
+    return stats;
+};
+
+const segmentTagPattern = /^#EXT(INF|-X-PROGRAM-DATE-TIME|-X-DISCONTINUITY|-X-BYTERANGE|-X-KEY|-X-GAP)/;
+
+const parseMediaPlaylist = (content) => {
+    const playlist = { header: [], segments: [], mediaSequence: 0, playlistType: null, endList: false };
+    let pendingTags = [];
+
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.trim();
+        if (!line) {
+            continue;
+        }
+
+        if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+            playlist.mediaSequence = parseInt(line.split(':')[1]);
+        } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+            playlist.playlistType = line.split(':')[1];
+        } else if (line === '#EXT-X-ENDLIST') {
+            playlist.endList = true;
+        } else if (!line.startsWith('#')) {
+            const extinf = pendingTags.find(tag => tag.startsWith('#EXTINF:'));
+            playlist.segments.push({
+                tags: pendingTags,
+                uri: line,
+                duration: extinf ? parseFloat(extinf.slice(8)) : 0,
+                sequence: playlist.mediaSequence + playlist.segments.length
+            });
+            pendingTags = [];
+        } else if (segmentTagPattern.test(line) || playlist.segments.length > 0) {
+            pendingTags.push(line);
+        } else {
+            playlist.header.push(line);
+        }
+    }
+
+    return playlist;
+};
+
+const renderMediaPlaylist = (playlist) => {
+    const lines = [...playlist.header];
+    if (playlist.playlistType) {
+        lines.push(`#EXT-X-PLAYLIST-TYPE:${playlist.playlistType}`);
+    }
+    lines.push(`#EXT-X-MEDIA-SEQUENCE:${playlist.mediaSequence}`);
+
+    for (const segment of playlist.segments) {
+        lines.push(...segment.tags, segment.uri);
+    }
+
+    if (playlist.endList) {
+        lines.push('#EXT-X-ENDLIST');
+    }
+
+    return lines.join('\n') + '\n';
+};
+
+// Index of the first segment that still fits in the DVR window, counted back from the live edge
+const getDvrWindowStart = (segments, window) => {
+    let total = 0;
+    let start = segments.length;
+    while (start > 0 && total + segments[start - 1].duration <= window) {
+        total += segments[start - 1].duration;
+        start--;
+    }
+    return start;
+};
+
+const buildDvrPlaylist = (stream, playlistPath) => {
+    const playlist = parseMediaPlaylist(fs.readFileSync(playlistPath, 'utf8'));
+    const trimBefore = stream.dvr.trimBefore[playlistPath] || 0;
+
+    const retained = playlist.segments.filter(segment => segment.sequence >= trimBefore);
+    const segments = retained.slice(getDvrWindowStart(retained, stream.dvr.window));
+
+    // EVENT playlists may only grow, so the tag is dropped once the window starts sliding
+    const sliding = segments.length < playlist.segments.length || playlist.mediaSequence > 0;
+
+    // Restarts leave discontinuities behind, players need to know how many slid out of the window
+    const dropped = playlist.segments.slice(0, playlist.segments.length - segments.length);
+    const sequenceTag = playlist.header.find(line => line.startsWith('#EXT-X-DISCONTINUITY-SEQUENCE:'));
+    const discontinuitySequence = (sequenceTag ? parseInt(sequenceTag.split(':')[1]) : 0) +
+        dropped.filter(segment => segment.tags.includes('#EXT-X-DISCONTINUITY')).length;
+    const header = playlist.header.filter(line => line !== sequenceTag);
+    if (discontinuitySequence > 0) {
+        header.push(`#EXT-X-DISCONTINUITY-SEQUENCE:${discontinuitySequence}`);
+    }
+
+    return renderMediaPlaylist({
+        ...playlist,
+        header,
+        segments,
+        mediaSequence: segments.length > 0 ? segments[0].sequence : playlist.mediaSequence,
+        playlistType: sliding ? null : 'EVENT'
+    });
+};
+
+const enforceDvrRetention = (streamId, stream) => {
+    const playlists = getMediaPlaylists(streamId, stream);
+    const bytesPerPlaylist = config.dvrMaxBytes / playlists.length;
+    let deleted = 0;
+
+    for (const { dir, playlistPath } of playlists) {
+        if (!fs.existsSync(playlistPath)) {
+            continue;
+        }
+
+        const { segments } = parseMediaPlaylist(fs.readFileSync(playlistPath, 'utf8'));
+        const trimBefore = stream.dvr.trimBefore[playlistPath] || 0;
+        const retained = segments.filter(segment => segment.sequence >= trimBefore);
+        let keepFrom = getDvrWindowStart(retained, stream.dvr.window);
+
+        let bytes = 0;
+        for (let i = retained.length - 1; i >= keepFrom; i--) {
+            try {
+                bytes += fs.statSync(path.join(dir, retained[i].uri)).size;
+            } catch (_) {
+                continue;
+            }
+            if (bytes > bytesPerPlaylist) {
+                keepFrom = i + 1;
+                break;
+            }
+        }
+
+        for (const segment of retained.slice(0, keepFrom)) {
+            try {
+                fs.rmSync(path.join(dir, segment.uri), { force: true });
+                deleted++;
+            } catch (error) {
+                console.warn(`Warning: Could not delete DVR segment ${segment.uri}:`, error.message);
+            }
+        }
+
+        if (keepFrom > 0) {
+            stream.dvr.trimBefore[playlistPath] = retained[keepFrom - 1].sequence + 1;
+        }
+
+        // Segments FFmpeg already dropped from its playlist are no longer listed above
+        const segmentNumber = (uri) => {
+            const match = uri.match(/^segment_(\d+)\.ts$/);
+            return match ? parseInt(match[1]) : null;
+        };
+        const firstListed = segments.length > 0 ? segmentNumber(segments[0].uri) : null;
+        if (firstListed !== null) {
+            for (const file of fs.readdirSync(dir)) {
+                const number = segmentNumber(file);
+                if (number !== null && number < firstListed) {
+                    fs.rmSync(path.join(dir, file), { force: true });
+                    deleted++;
+                }
+            }
+        }
+    }
+
+    if (deleted > 0) {
+        console.log(`⏪ Trimmed ${deleted} DVR segments for stream ${streamId}`);
+    }
+};
+
+const getDvrStatus = (streamId, stream) => {
+    const playlists = getMediaPlaylists(streamId, stream);
+    const status = { window: stream.dvr.window, retainedDuration: 0, diskBytes: 0 };
+
+    for (const { dir, playlistPath } of playlists) {
+        if (fs.existsSync(playlistPath) && playlistPath === playlists[0].playlistPath) {
+            const { segments } = parseMediaPlaylist(buildDvrPlaylist(stream, playlistPath));
+            status.retainedDuration = Math.round(segments.reduce((total, segment) => total + segment.duration, 0));
+        }
+
+        try {
+            for (const file of fs.readdirSync(dir)) {
+                if (file.endsWith('.ts')) {
+                    status.diskBytes += fs.statSync(path.join(dir, file)).size;
+                }
+            }
+        } catch (_) {
+            // Directory not created yet
+        }
+    }
+
+    return status;
+};
+
+const serveDvrPlaylist = (req, res, next) => {
+    const match = req.path.match(/^\/([^/]+)\/(.+\.m3u8)$/);
+    if (!match || match[2] === 'master.m3u8') {
+        return next();
+    }
+
+    const stream = activeStreams.get(match[1]);
+    if (!stream || !stream.dvr) {
+        return next();
+    }
+
+    // Only the stream's own media playlists are windowed, anything else is left to the handlers below
+    const playlistPath = path.join(hlsDir, match[1], match[2]);
+    const known = getMediaPlaylists(match[1], stream).some(playlist => playlist.playlistPath === playlistPath);
+    if (!known || !fs.existsSync(playlistPath)) {
+        return next();
+    }
+
+    sendPlaylist(req, res, buildDvrPlaylist(stream, playlistPath), fs.statSync(playlistPath).mtime);
+};
+
+// The first media playlist as players get it, with DVR windowing and LL-HLS rendering applied
+const readServedMediaPlaylist = (safeStreamId, stream) => {
+    const playlist = getMediaPlaylists(safeStreamId, stream)[0];
+    if (stream.llhls) {
+        return { content: stream.llhls.renderPlaylist(), dir: playlist.dir };
+    }
+    const content = stream.dvr ? buildDvrPlaylist(stream, playlist.playlistPath) : readHlsFile(playlist.playlistPath, 'utf8');
+    return { content, dir: playlist.dir };
+};
+
+const serveThumbnailTrack = (req, res, next) => {
+    const match = req.path.match(/^\/([^/]+)\/thumbnails\.vtt$/);
+    const stream = match ? activeStreams.get(match[1]) : null;
+    if (!stream || !stream.thumbnails) {
+        return next();
+    }
+
+    let segments = [];
+    try {
+        const { content, dir } = readServedMediaPlaylist(match[1], stream);
+        segments = getTimedSegments(content, dir);
+    } catch (_) {
+        // Playlist not written yet
+    }
+    if (segments.length === 0) {
+        return res.status(404).send('Thumbnails are not available yet');
+    }
+
+    const suffix = req.playbackToken ? `?token=${req.playbackToken}` : '';
+    res.send(buildThumbnailVtt(stream.thumbnails.getCells(), segments[0].start, segments[segments.length - 1].end, file => `sprites/${file}${suffix}`));
+};
+
+// Sprite sheets whose cells all lie before the first segment still in the playlist can go
+const pruneSprites = (safeStreamId, stream) => {
+    let segments = [];
+    try {
+        const { content, dir } = readServedMediaPlaylist(safeStreamId, stream);
+        segments = getTimedSegments(content, dir);
+    } catch (_) {
+        // Playlist not written yet
+    }
+    if (segments.length === 0) {
+        return;
+    }
+
+    const lastCellEnd = new Map();
+    for (const cell of stream.thumbnails.getCells()) {
+        lastCellEnd.set(cell.file, Math.max(lastCellEnd.get(cell.file) || 0, cell.end));
+    }
+    for (const [file, end] of lastCellEnd.entries()) {
+        if (end < segments[0].start) {
+            fs.rmSync(path.join(stream.thumbnails.spritesDir, file), { force: true });
+        }
+    }
+};
+
+// Decodes one frame of the newest segment, decrypting it first when the stream is encrypted
+const extractSnapshot = (safeStreamId, stream, { format, width }) => new Promise((resolve, reject) => {
+    const { content, dir } = readServedMediaPlaylist(safeStreamId, stream);
+    const segments = resolveSegmentKeys(parseMediaPlaylist(content).segments);
+    const latest = segments[segments.length - 1];
+    if (!latest) {
+        return reject(new Error('No segment available yet'));
+    }
+
+    let data = readHlsFile(path.join(dir, latest.uri));
+    if (latest.key) {
+        const { uri, iv } = parseKeyTag(latest.key);
+        const decipher = crypto.createDecipheriv('aes-128-cbc', fs.readFileSync(getKeyFilePath(uri)), Buffer.from(iv, 'hex'));
+        data = Buffer.concat([decipher.update(data), decipher.final()]);
+    }
+    if (stream.llhls) {
+        data = Buffer.concat([fs.readFileSync(path.join(stream.llhls.partsDir, 'init.mp4')), data]);
+    }
+
+    const ffmpeg = spawn('ffmpeg', [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-i', 'pipe:0',
+        '-frames:v', '1',
+        '-vf', `scale=${width}:-2`,
+        ...thumbnailFormats[format].codecArgs,
+        '-f', 'image2',
+        'pipe:1'
+    ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+    const chunks = [];
+    let errorOutput = '';
+    const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), 10000);
+
+    ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+    ffmpeg.stderr.on('data', (chunk) => {
+        errorOutput += chunk.toString();
+    });
+    ffmpeg.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+    });
+    ffmpeg.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0 && chunks.length > 0) {
+            resolve(Buffer.concat(chunks));
+        } else {
+            reject(new Error(errorOutput.trim() || `FFmpeg exited with code ${code}`));
+        }
+    });
+
+    // FFmpeg stops reading once it has its frame
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stdin.end(data);
+});
+
+const createLowLatencyPackager = (streamDir, frameRate) => {
+    const partsDir = path.join(streamDir, 'parts');
+    const partsPlaylistPath = path.join(partsDir, 'index.m3u8');
+    const partsPerSegment = Math.max(1, Math.round(config.segmentDuration / config.llPartDuration));
+    // PART-TARGET must cover the longest part, which FFmpeg rounds up to a whole frame
+    const partTarget = Math.ceil(config.llPartDuration * frameRate) / frameRate;
+
+    const state = {
+        segments: [],
+        pending: [],
+        nextPartIndex: 0,
+        waiters: [],
+        lastPlaylist: '',
+        pollTimer: null,
+        generation: 0,
+        discontinuitySequence: 0
+    };
+
+    const segmentUri = (msn) => `segment_${msn.toString().padStart(5, '0')}.m4s`;
+
+    const notify = () => {
+        state.waiters = state.waiters.filter(waiter => {
+            if (!waiter.predicate()) {
+                return true;
+            }
+            clearTimeout(waiter.timer);
+            waiter.resolve(true);
+            return false;
+        });
+    };
+
+    const waitFor = (predicate, timeoutMs) => {
+        return new Promise((resolve) => {
+            if (predicate()) {
+                resolve(true);
+                return;
+            }
+
+            const waiter = { predicate, resolve };
+            waiter.timer = setTimeout(() => {
+                state.waiters = state.waiters.filter(w => w !== waiter);
+                resolve(false);
+            }, timeoutMs);
+            state.waiters.push(waiter);
+        });
+    };
+
+    const completeSegment = () => {
+        const msn = Math.floor(state.pending[0].index / partsPerSegment);
+        const uri = segmentUri(msn);
+
+        try {
+            const data = Buffer.concat(state.pending.map(part => fs.readFileSync(path.join(partsDir, part.uri))));
+            fs.writeFileSync(path.join(streamDir, uri), data);
+        } catch (error) {
+            console.warn(`Warning: Could not assemble LL-HLS segment ${uri}:`, error.message);
+        }
+
+        const duration = state.pending.reduce((total, part) => total + part.duration, 0);
+        state.segments.push({
+            msn,
+            uri,
+            duration,
+            programDateTime: new Date(Date.now() - duration * 1000).toISOString(),
+            generation: state.pending[0].generation,
+            parts: state.pending
+        });
+        state.pending = [];
+
+        while (state.segments.length > config.maxSegments) {
+            const expired = state.segments.shift();
+            if (state.segments[0].generation !== expired.generation) {
+                state.discontinuitySequence++;
+            }
+            fs.rm(path.join(streamDir, expired.uri), { force: true }, () => {});
+            // Parts of a previous FFmpeg run are not tracked by the current one's delete_segments
+            for (const part of expired.parts) {
+                fs.rm(path.join(partsDir, part.uri), { force: true }, () => {});
+            }
+        }
+    };
+
+    const poll = () => {
+        let content;
+        try {
+            content = fs.readFileSync(partsPlaylistPath, 'utf8');
+        } catch (_) {
+            return;
+        }
+
+        if (content === state.lastPlaylist) {
+            return;
+        }
+        state.lastPlaylist = content;
+
+        const entries = content.matchAll(/#EXTINF:([\d.]+),\s*\n(part_(\d+)\.m4s)/g);
+        for (const [, duration, uri, number] of entries) {
+            const index = parseInt(number);
+            if (index < state.nextPartIndex) {
+                continue;
+            }
+
+            state.pending.push({
+                index,
+                uri,
+                duration: parseFloat(duration),
+                independent: index % partsPerSegment === 0,
+                generation: state.generation
+            });
+            state.nextPartIndex = index + 1;
+
+            if (state.pending.length === partsPerSegment) {
+                completeSegment();
+            }
+        }
+
+        notify();
+    };
+
+    const currentMsn = () => Math.floor(state.nextPartIndex / partsPerSegment);
+
+    const hasPart = (msn, part) => {
+        if (part === undefined) {
+            return (msn + 1) * partsPerSegment <= state.nextPartIndex;
+        }
+        return msn * partsPerSegment + part < state.nextPartIndex;
+    };
+
+    const renderPlaylist = () => {
+        const lines = [
+            '#EXTM3U',
+            '#EXT-X-VERSION:6',
+            `#EXT-X-TARGETDURATION:${config.segmentDuration}`,
+            `#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=${(partTarget * 3).toFixed(3)}`,
+            `#EXT-X-PART-INF:PART-TARGET=${partTarget.toFixed(3)}`,
+            `#EXT-X-MEDIA-SEQUENCE:${state.segments.length > 0 ? state.segments[0].msn : currentMsn()}`,
+            `#EXT-X-DISCONTINUITY-SEQUENCE:${state.discontinuitySequence}`,
+            '#EXT-X-MAP:URI="parts/init.mp4"'
+        ];
+
+        // A restarted FFmpeg begins a new generation, the initialization section is written again
+        let generation = state.segments.length > 0 ? state.segments[0].generation : state.generation;
+        const boundary = (item) => {
+            if (item.generation !== generation) {
+                generation = item.generation;
+                lines.push('#EXT-X-DISCONTINUITY', '#EXT-X-MAP:URI="parts/init.mp4"');
+            }
+        };
+
+        const partLines = (parts) => parts.map(part =>
+            `#EXT-X-PART:DURATION=${part.duration.toFixed(3)},URI="parts/${part.uri}"${part.independent ? ',INDEPENDENT=YES' : ''}`
+        );
+
+        // Parts are only advertised for the last three segments, older ones are plain segments
+        state.segments.forEach((segment, i) => {
+            boundary(segment);
+            lines.push(`#EXT-X-PROGRAM-DATE-TIME:${segment.programDateTime}`);
+            if (i >= state.segments.length - 3) {
+                lines.push(...partLines(segment.parts));
+            }
+            lines.push(`#EXTINF:${segment.duration.toFixed(3)},`, segment.uri);
+        });
+
+        if (state.pending.length > 0) {
+            boundary(state.pending[0]);
+        }
+        lines.push(...partLines(state.pending));
+        lines.push(`#EXT-X-PRELOAD-HINT:TYPE=PART,URI="parts/part_${state.nextPartIndex.toString().padStart(5, '0')}.m4s"`);
+
+        return lines.join('\n') + '\n';
+    };
+
+    return {
+        partsDir,
+        partsPlaylistPath,
+        partsPerSegment,
+        partTarget,
+        start: () => {
+            fs.mkdirSync(partsDir, { recursive: true });
+            state.pollTimer = setInterval(poll, 100);
+        },
+        // Called before a restarted FFmpeg takes over, its numbering continues on the next segment boundary
+        resume: () => {
+            if (state.pending.length > 0) {
+                completeSegment();
+            }
+            state.nextPartIndex = Math.ceil(state.nextPartIndex / partsPerSegment) * partsPerSegment;
+            state.generation++;
+            state.lastPlaylist = '';
+            notify();
+        },
+        startNumber: () => state.nextPartIndex,
+        stop: () => {
+            clearInterval(state.pollTimer);
+            for (const waiter of state.waiters) {
+                clearTimeout(waiter.timer);
+                waiter.resolve(false);
+            }
+            state.waiters = [];
+        },
+        isReady: () => state.nextPartIndex > 0,
+        currentMsn,
+        renderPlaylist,
+        waitForPart: (msn, part) => waitFor(() => hasPart(msn, part), config.segmentDuration * 3000),
+        waitForPartFile: (index) => waitFor(() => index < state.nextPartIndex, config.segmentDuration * 3000),
+        getStatus: () => ({
+            partTarget,
+            partsPerSegment,
+            mediaSequence: currentMsn(),
+            nextPart: state.nextPartIndex,
+            segments: state.segments.length
+        })
+    };
+};
+
+const serveLowLatency = async (req, res, next) => {
+    const match = req.path.match(/^\/([^/]+)\/(.+)$/);
+    if (!match) {
+        return next();
+    }
+
+    const stream = activeStreams.get(match[1]);
+    if (!stream || !stream.llhls) {
+        return next();
+    }
+
+    const packager = stream.llhls;
+
+    if (match[2] === 'playlist.m3u8') {
+        const { _HLS_msn: msnParam, _HLS_part: partParam } = req.query;
+
+        if (partParam !== undefined && msnParam === undefined) {
+            return res.status(400).send('_HLS_part requires _HLS_msn');
+        }
+
+        if (msnParam !== undefined) {
+            const msn = parseInt(msnParam);
+            const part = partParam !== undefined ? parseInt(partParam) : undefined;
+
+            if (isNaN(msn) || (part !== undefined && isNaN(part))) {
+                return res.status(400).send('Invalid _HLS_msn or _HLS_part');
+            }
+            if (msn > packager.currentMsn() + 2) {
+                return res.status(400).send('_HLS_msn is too far in the future');
+            }
+
+            await packager.waitForPart(msn, part);
+        }
+
+        return sendPlaylist(req, res, packager.renderPlaylist());
+    }
+
+    const partMatch = match[2].match(/^parts\/part_(\d+)\.m4s$/);
+    if (partMatch) {
+        // Blocking preload hint: hold the request until FFmpeg finishes the part
+        await packager.waitForPartFile(parseInt(partMatch[1]));
+    }
+
+    next();
+};
+
+const keyUriPattern = /^\/api\/keys\/([^/?]+)\/(\d+)/;
+
+const readKeySetMeta = (keySetId) => {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(config.keysDir, keySetId, 'keyset.json'), 'utf8'));
+    } catch (_) {
+        return null;
+    }
+};
+
+// Maps a key URI as written in a playlist back to the key file on disk
+const getKeyFilePath = (uri) => {
+    const match = uri.match(keyUriPattern);
+    return match ? path.join(config.keysDir, generateSafeStreamId(match[1]), `${parseInt(match[2])}.key`) : null;
+};
+
+const parseKeyTag = (tag) => {
+    const uri = tag.match(/URI="([^"]+)"/);
+    const iv = tag.match(/IV=0x([0-9a-fA-F]{32})/);
+    return { uri: uri ? uri[1] : null, iv: iv ? iv[1] : null };
+};
+
+// EXT-X-KEY applies to every following segment until the next one
+const resolveSegmentKeys = (segments) => {
+    let key = null;
+    return segments.map(segment => {
+        const keyTag = segment.tags.find(tag => tag.startsWith('#EXT-X-KEY:'));
+        if (keyTag) {
+            key = keyTag.includes('METHOD=NONE') ? null : keyTag;
+        }
+        return { ...segment, key };
+    });
+};
+
+// Keys live outside hls/ and recordings/ so they are never reachable through the static routes.
+// FFmpeg re-reads the key info file on every segment, rotating only means rewriting it.
+const createSegmentEncryptor = ({ keySetId, streamId, owner, rotateEvery, outputsPerSegment }) => {
+    const dir = path.join(config.keysDir, keySetId);
+    const keyInfoPath = path.join(dir, 'keyinfo');
+    fs.mkdirSync(dir, { recursive: true });
+
+    const meta = readKeySetMeta(keySetId) || {
+        id: keySetId,
+        streamId: streamId,
+        owner: owner,
+        method: 'AES-128',
+        createdAt: new Date().toISOString(),
+        nextKey: 0
+    };
+    let segmentsSinceRotation = 0;
+
+    const writeMeta = () => {
+        fs.writeFileSync(path.join(dir, 'keyset.json'), JSON.stringify(meta, null, 2));
+    };
+
+    const rotate = () => {
+        const index = meta.nextKey++;
+        const keyPath = path.join(dir, `${index}.key`);
+        fs.writeFileSync(keyPath, crypto.randomBytes(16));
+
+        // An explicit IV keeps segments decryptable after they are renumbered in recordings and clips
+        const tempPath = `${keyInfoPath}.tmp`;
+        fs.writeFileSync(tempPath, `/api/keys/${keySetId}/${index}\n${keyPath}\n${crypto.randomBytes(16).toString('hex')}\n`);
+        fs.renameSync(tempPath, keyInfoPath);
+        writeMeta();
+    };
+
+    // A resumed key set keeps encrypting with its current key
+    if (meta.nextKey === 0 || !fs.existsSync(keyInfoPath)) {
+        rotate();
+    }
+
+    return {
+        keySetId,
+        keyInfoPath,
+        rotateEvery,
+        currentKey: () => meta.nextKey - 1,
+        onSegment: () => {
+            if (!rotateEvery) {
+                return;
+            }
+            segmentsSinceRotation++;
+            if (segmentsSinceRotation >= rotateEvery * outputsPerSegment) {
+                segmentsSinceRotation = 0;
+                rotate();
+            }
+        }
+    };
+};
+
+const findRecordingsUsingKeySet = (keySetId) => {
+    try {
+        return fs.readdirSync(config.recordingsDir).map(readRecordingMeta).filter(meta => meta && meta.keySetId === keySetId);
+    } catch (_) {
+        return [];
+    }
+};
+
+// Key sets stay as long as a stream, a persisted definition or a recording still needs them
+const releaseKeySet = (keySetId) => {
+    if (!keySetId) {
+        return;
+    }
+
+    const inUse = Array.from(activeStreams.values()).some(stream => stream.encryption && stream.encryption.keySetId === keySetId) ||
+        streamStore.list().some(definition => definition.keySetId === keySetId) ||
+        findRecordingsUsingKeySet(keySetId).length > 0;
+
+    if (!inUse) {
+        fs.rmSync(path.join(config.keysDir, keySetId), { recursive: true, force: true });
+        console.log(`🔐 Key set ${keySetId} deleted`);
+    }
+};
+
+const buildPlaylistArgs = (dvr, resume, encryptor) => {
+    // When continuing an existing playlist, mark the jump so players resync their timestamps
+    const resumeFlag = resume ? '+discont_start' : '';
+    const rekeyFlag = encryptor && encryptor.rotateEvery ? '+periodic_rekey' : '';
+    const keyArgs = encryptor ? ['-hls_key_info_file', encryptor.keyInfoPath] : [];
+
+    if (dvr) {
+        // FFmpeg lists a little more than the window (split_by_time can cut a segment short), periodicCleanup
+        // trims the window by duration and disk usage and removes the files of segments that slid out
+        return [
+            '-hls_list_size', (Math.ceil(dvr.window / config.segmentDuration) + 5).toString(),
+            '-hls_flags', `append_list+split_by_time+independent_segments+program_date_time${resumeFlag}${rekeyFlag}`,
+            ...keyArgs
+        ];
+    }
+
+    return [
+        '-hls_list_size', config.maxSegments.toString(),
+        '-hls_flags', `delete_segments+append_list+split_by_time+independent_segments+program_date_time${resumeFlag}${rekeyFlag}`,
+        ...keyArgs
+    ];
+};
+
+const buildLadderArgs = (outputPath, renditions, settings, dvr, resume, encryptor) => {
+    const splitOutputs = renditions.map((_, i) => `[vs${i}]`).join('');
+    const scaleFilters = renditions.map((rendition, i) =>
+        `[vs${i}]scale=${rendition.width}:${rendition.height}:force_original_aspect_ratio=decrease,` +
+        `pad=${rendition.width}:${rendition.height}:(ow-iw)/2:(oh-ih)/2[v${i}]`
+    );
+
+    const args = [
+        '-filter_complex', `[0:v]split=${renditions.length}${splitOutputs};${scaleFilters.join(';')}`
+    ];
+
+    renditions.forEach((_, i) => {
+        args.push('-map', `[v${i}]`, '-map', '0:a:0');
+    });
+
+    args.push(
+        '-c:v', settings.videoCodec,                            // Video codec
+        '-c:a', settings.audioCodec,                            // Audio codec
+        '-preset', settings.preset,                             // Speed vs quality
+        '-tune', settings.tune,                                 // Latency tuning
+        '-pix_fmt', settings.pixFmt || 'yuv420p',               // iOS compatibility
+        '-r', settings.frameRate.toString(),                    // Frame rate
+        '-g', settings.gop.toString(),                          // Keyframe interval
+        '-keyint_min', settings.keyintMin.toString(),           // Minimum keyframe interval
+        '-sc_threshold', '0',                                   // Aligned keyframes across variants
+        '-ar', settings.sampleRate.toString(),                  // Audio sample rate
+        '-ac', settings.channels.toString()                     // Audio channels
+    );
+
+    renditions.forEach((rendition, i) => {
+        args.push(
+            `-profile:v:${i}`, rendition.profile,
+            `-level:v:${i}`, rendition.level,
+            `-b:v:${i}`, `${rendition.videoBitrate}k`,
+            `-maxrate:v:${i}`, `${Math.round(rendition.videoBitrate * 1.2)}k`,
+            `-bufsize:v:${i}`, `${rendition.videoBitrate * 2}k`,
+            `-b:a:${i}`, `${rendition.audioBitrate}k`
+        );
+    });
+
+    return [
+        ...args,
+        '-f', 'hls',
+        '-hls_time', config.segmentDuration.toString(),
+        ...buildPlaylistArgs(dvr, resume, encryptor),
+        '-hls_allow_cache', '0',
+        '-hls_segment_type', 'mpegts',
+        '-var_stream_map', renditions.map((rendition, i) => `v:${i},a:${i},name:${rendition.name}`).join(' '),
+        '-hls_segment_filename', outputPath('%v', 'segment_%05d.ts'),
+        '-method', 'PUT',
+        '-y',
+        outputPath('%v', 'playlist.m3u8')
+    ];
+};
+
+const buildEncodeArgs = (settings) => {
+    const args = [];
+
+    if (!settings.videoCodec) {
+        args.push('-vn');                                       // Drop video
+    } else if (settings.videoCodec === 'copy') {
+        args.push('-c:v', 'copy');                              // Passthrough video
+    } else {
+        args.push(
+            '-c:v', settings.videoCodec,                        // Video codec
+            '-preset', settings.preset,                         // Speed vs quality
+            '-tune', settings.tune,                             // Latency tuning
+            '-profile:v', settings.videoProfile,                // H.264 profile
+            '-level', settings.level,                           // H.264 level
+            '-pix_fmt', settings.pixFmt || 'yuv420p',           // iOS compatibility
+            '-r', settings.frameRate.toString(),                // Frame rate
+            '-g', settings.gop.toString(),                      // Keyframe interval
+            '-keyint_min', settings.keyintMin.toString(),       // Minimum keyframe interval
+            '-sc_threshold', '0',                               // Disable scene change detection
+            '-b:v', `${settings.videoBitrate}k`,                // Video bitrate
+            '-maxrate', `${settings.maxrate}k`,                 // Max video bitrate
+            '-bufsize', `${settings.bufsize}k`                  // Buffer size
+        );
+    }
+
+    if (!settings.audioCodec) {
+        args.push('-an');                                       // Drop audio
+    } else if (settings.audioCodec === 'copy') {
+        args.push('-c:a', 'copy');                              // Passthrough audio
+    } else {
+        args.push(
+            '-c:a', settings.audioCodec,                        // Audio codec
+            '-b:a', `${settings.audioBitrate}k`,                // Audio bitrate
+            '-ar', settings.sampleRate.toString(),              // Audio sample rate
+            '-ac', settings.channels.toString()                 // Audio channels
+        );
+    }
+
+    return args;
+};
+
+const buildLowLatencyArgs = (streamDir, settings, packager) => {
+    const keyframeSettings = {
+        ...settings,
+        gop: settings.frameRate * config.segmentDuration,
+        keyintMin: settings.frameRate * config.segmentDuration
+    };
+
+    return [
+        ...buildEncodeArgs(keyframeSettings),
+        '-force_key_frames', `expr:gte(t,n_forced*${config.segmentDuration})`,   // Keyframe on every segment boundary
+        '-f', 'hls',
+        '-hls_time', config.llPartDuration.toString(),                          // One HLS "segment" per LL part
+        '-hls_list_size', ((config.maxSegments + 1) * packager.partsPerSegment).toString(),
+        '-start_number', packager.startNumber().toString(),
+        '-hls_flags', 'delete_segments+split_by_time+temp_file',
+        '-hls_segment_type', 'fmp4',
+        '-hls_fmp4_init_filename', 'init.mp4',
+        '-hls_segment_filename', path.join(packager.partsDir, 'part_%05d.m4s'),
+        '-y',
+        packager.partsPlaylistPath
+    ];
+};
+
+// With -loglevel level+info every line carries its level, e.g. "[hls @ 0x55d0c8] [info] Opening ..."
+const ffmpegLogLevelPattern = /\[(panic|fatal|error|warning|info|verbose|debug|trace)\] /;
+const segmentOpenPattern = /Opening '([^']+\.(?:ts|m4s))' for writing/;
+const criticalErrorPatterns = [
+    'Connection refused',
+    'No route to host',
+    'Invalid data found',
+    'Server returned 404 Not Found',
+    'HTTP error 404'
+];
+
+// Output chunks do not respect line boundaries, so hold back the unfinished tail
+const createLineSplitter = (onLine) => {
+    let buffer = '';
+    return (data) => {
+        buffer += data.toString();
+        const lines = buffer.split(/\r?\n|\r/);
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) {
+                onLine(line.trim());
+            }
+        }
+    };
+};
+
+const parseProgressNumber = (value) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+};
+
+// -progress writes blocks of key=value lines, each block ends with progress=continue or progress=end
+const createProgressParser = (onReport) => {
+    let fields = {};
+    return createLineSplitter((line) => {
+        const separator = line.indexOf('=');
+        if (separator === -1) {
+            return;
+        }
+
+        const key = line.slice(0, separator);
+        const value = line.slice(separator + 1).trim();
+        fields[key] = value;
+
+        if (key !== 'progress') {
+            return;
+        }
+
+        const outTimeUs = parseProgressNumber(fields.out_time_us);
+        onReport({
+            frames: parseInt(fields.frame) || 0,
+            fps: parseProgressNumber(fields.fps),
+            bitrateKbps: parseProgressNumber(fields.bitrate),    // "1024.3kbits/s" or "N/A"
+            totalSize: parseInt(fields.total_size) || 0,
+            outTime: outTimeUs !== null ? outTimeUs / 1000000 : null,
+            speed: parseProgressNumber(fields.speed),            // "1.01x" or "N/A"
+            duplicatedFrames: parseInt(fields.dup_frames) || 0,
+            droppedFrames: parseInt(fields.drop_frames) || 0,
+            ended: value === 'end'
+        });
+        fields = {};
+    });
+};
+
+const thumbnailFormats = {
+    jpg: { codecArgs: ['-c:v', 'mjpeg', '-q:v', '5'], contentType: 'image/jpeg' },
+    webp: { codecArgs: ['-c:v', 'libwebp', '-quality', '75'], contentType: 'image/webp' }
+};
+
+const getSpriteFiles = (spritesDir) => {
+    try {
+        return fs.readdirSync(spritesDir)
+            .filter(file => /^sprite_\d+\.(jpg|webp)$/.test(file))
+            .map(file => ({ file, index: parseInt(file.match(/\d+/)[0]) }))
+            .sort((a, b) => a.index - b.index);
+    } catch (_) {
+        return [];
+    }
+};
+
+// The tile filter numbers sprites per FFmpeg process, so every launch records where its numbering
+// started and when. That is enough to place each cell on the wall clock, also after a server restart.
+const createThumbnailer = (streamDir, settings) => {
+    const spritesDir = path.join(streamDir, 'sprites');
+    const manifestPath = path.join(spritesDir, 'sprites.json');
+    const cellsPerSprite = config.spriteColumns * config.spriteRows;
+    fs.mkdirSync(spritesDir, { recursive: true });
+
+    let launches = [];
+    try {
+        launches = JSON.parse(fs.readFileSync(manifestPath, 'utf8')).launches;
+    } catch (_) {
+        // First launch
+    }
+
+    const getCells = (files) => {
+        const cells = [];
+        for (const { file, index } of files) {
+            const launch = launches.filter(entry => entry.startNumber <= index).pop();
+            if (!launch) {
+                continue;
+            }
+            for (let cell = 0; cell < cellsPerSprite; cell++) {
+                const start = launch.startedAt + ((index - launch.startNumber) * cellsPerSprite + cell) * settings.interval * 1000;
+                cells.push({
+                    file,
+                    start,
+                    end: start + settings.interval * 1000,
+                    x: (cell % config.spriteColumns) * config.spriteCellWidth,
+                    y: Math.floor(cell / config.spriteColumns) * config.spriteCellHeight
+                });
+            }
+        }
+        return cells;
+    };
+
+    return {
+        ...settings,
+        spritesDir,
+        thumbnailPath: path.join(streamDir, `thumbnail.${settings.format}`),
+        launch: () => {
+            const files = getSpriteFiles(spritesDir);
+            const startNumber = files.length > 0 ? files[files.length - 1].index + 1 : 0;
+            launches.push({ startNumber, startedAt: Date.now() });
+            fs.writeFileSync(manifestPath, JSON.stringify({ launches }, null, 2));
+            return startNumber;
+        },
+        getCells: () => getCells(getSpriteFiles(spritesDir)),
+        getCellsFor: (files) => getCells(files)
+    };
+};
+
+const buildThumbnailArgs = (thumbnailer, spriteStart) => {
+    const { codecArgs } = thumbnailFormats[thumbnailer.format];
+    const fps = `fps=1/${thumbnailer.interval}`;
+    const cell = `scale=${config.spriteCellWidth}:${config.spriteCellHeight}:force_original_aspect_ratio=decrease,` +
+        `pad=${config.spriteCellWidth}:${config.spriteCellHeight}:(ow-iw)/2:(oh-ih)/2`;
+
+    return [
+        // Latest still, overwritten in place
+        '-map', '0:v:0', '-an',
+        '-vf', `${fps},scale=${thumbnailer.width}:-2`,
+        ...codecArgs,
+        '-update', '1',
+        '-f', 'image2',
+        '-y', thumbnailer.thumbnailPath,
+        // Sprite sheets for scrubbing, one cell per interval
+        '-map', '0:v:0', '-an',
+        '-vf', `${fps},${cell},tile=${config.spriteColumns}x${config.spriteRows}`,
+        ...codecArgs,
+        '-start_number', spriteStart.toString(),
+        '-f', 'image2',
+        '-y', path.join(thumbnailer.spritesDir, `sprite_%05d.${thumbnailer.format}`)
+    ];
+};
+
+const formatVttTime = (ms) => {
+    const value = Math.max(0, ms);
+    return `${String(Math.floor(value / 3600000)).padStart(2, '0')}:${new Date(value).toISOString().slice(14, 23)}`;
+};
+
+// Cue times are relative to the first segment of the playlist the player loaded
+const buildThumbnailVtt = (cells, origin, end, formatUri) => {
+    const lines = ['WEBVTT', ''];
+    for (const cell of cells) {
+        if (cell.end <= origin || cell.start >= end) {
+            continue;
+        }
+        lines.push(
+            `${formatVttTime(cell.start - origin)} --> ${formatVttTime(Math.min(cell.end, end) - origin)}`,
+            `${formatUri(cell.file)}#xywh=${cell.x},${cell.y},${config.spriteCellWidth},${config.spriteCellHeight}`,
+            ''
+        );
+    }
+    return lines.join('\n');
+};
+
+const createFFmpegProcess = (flvUrl, streamDir, safeStreamId, options = {}) => {
+    const { settings, renditions = null, llhls = null, dvr = null, resume = false, encryptor = null, thumbnailer = null, memoryStore = null } = options;
+    // Memory-backed streams upload their output to the ingest route instead of writing it to disk
+    const outputPath = (...parts) => memoryStore ? [memoryStore.ingestUrl, ...parts].join('/') : path.join(streamDir, ...parts);
+    const thumbnailArgs = thumbnailer ? buildThumbnailArgs(thumbnailer, thumbnailer.launch()) : [];
+
+    const protocol = new URL(flvUrl).protocol;
+    const inputArgs = [
+        '-hide_banner',                        // Hide FFmpeg banner
+        '-loglevel', 'level+info',             // Set log level, prefix lines with their level
+        '-nostats',                            // Progress is reported on stdout instead
+        '-progress', 'pipe:1'                  // Machine readable progress
+    ];
+
+    if (protocol === 'http:' || protocol === 'https:') {
+        inputArgs.push(
+            '-reconnect', '1',                 // Auto reconnect if connection lost
+            '-reconnect_streamed', '1',        // Reconnect for streamed inputs
+            '-reconnect_delay_max', '5',       // Max delay 5 seconds
+            '-reconnect_at_eof', '1'           // Reconnect at end of file
+        );
+    }
+
+    // For RTMP inputs -timeout means "listen for incoming connections", so only set it elsewhere
+    if (protocol !== 'rtmp:') {
+        inputArgs.push('-timeout', '10000000');  // 10 second timeout for network operations
+    }
+
+    inputArgs.push('-i', flvUrl);              // Input FLV stream
+
+    if (renditions) {
+        if (!memoryStore) {
+            for (const rendition of renditions) {
+                fs.mkdirSync(path.join(streamDir, rendition.name), { recursive: true });
+            }
+        }
+        writeMasterPlaylist(streamDir, renditions);
+
+        return spawn('ffmpeg', [...inputArgs, ...buildLadderArgs(outputPath, renditions, settings, dvr, resume, encryptor), ...thumbnailArgs], {
+            stdio: ['ignore', 'pipe', 'pipe'],
+            env: { ...process.env, FFREPORT: 'file=ffmpeg.log:level=32' }
+        });
+    }
+
+    if (llhls) {
+        return spawn('ffmpeg', [...inputArgs, ...buildLowLatencyArgs(streamDir, settings, llhls), ...thumbnailArgs], {
+            stdio: ['ignore', 'pipe', 'pipe'],
+            env: { ...process.env, FFREPORT: 'file=ffmpeg.log:level=32' }
+        });
+    }
+
+    const ffmpegArgs = [
+        ...inputArgs,
+        ...buildEncodeArgs(settings),
+        '-f', 'hls',                           // Output format HLS
+        '-hls_time', config.segmentDuration.toString(),
+        ...buildPlaylistArgs(dvr, resume, encryptor),
+        '-hls_allow_cache', '0',
+        '-hls_segment_type', 'mpegts',         // Segment type
+        '-hls_segment_filename', outputPath('segment_%05d.ts'),
+        '-method', 'PUT',                      // HTTP method for segments
+        '-y',                                  // Overwrite output files
+        outputPath('playlist.m3u8'),
+        ...thumbnailArgs
+    ];
+
+    return spawn('ffmpeg', ffmpegArgs, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: { ...process.env, FFREPORT: 'file=ffmpeg.log:level=32' }
+    });
+};
+
+const activeRecordings = new Map();
+
+const readRecordingMeta = (recordingId) => {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(config.recordingsDir, recordingId, 'recording.json'), 'utf8'));
+    } catch (_) {
+        return null;
+    }
+};
+
+const createRecorder = (streamId, stream, format) => {
+    const recordingId = `${streamId}_${Date.now()}`;
+    const recordingDir = path.join(config.recordingsDir, recordingId);
+    const source = getMediaPlaylists(streamId, stream)[0];
+    fs.mkdirSync(recordingDir, { recursive: true });
+
+    const state = {
+        lastSequence: -1,
+        segments: [],
+        sprites: [],
+        gap: false,
+        pollTimer: null,
+        stopped: false
+    };
+
+    const meta = {
+        id: recordingId,
+        streamId: streamId,
+        format: format,
+        status: 'recording',
+        variant: source.name,
+        owner: stream.owner || null,
+        keySetId: stream.encryption ? stream.encryption.keySetId : null,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        duration: 0,
+        segmentCount: 0,
+        sizeBytes: 0,
+        files: []
+    };
+
+    const writeMeta = () => {
+        fs.writeFileSync(path.join(recordingDir, 'recording.json'), JSON.stringify(meta, null, 2));
+    };
+
+    const writePlaylist = (final) => {
+        const fmp4 = !!stream.llhls;
+        const targetDuration = Math.ceil(Math.max(config.segmentDuration, ...state.segments.map(s => s.duration)));
+        const lines = [
+            '#EXTM3U',
+            `#EXT-X-VERSION:${fmp4 ? 7 : 3}`,
+            `#EXT-X-TARGETDURATION:${targetDuration}`,
+            `#EXT-X-PLAYLIST-TYPE:${final ? 'VOD' : 'EVENT'}`,
+            '#EXT-X-MEDIA-SEQUENCE:0'
+        ];
+        if (fmp4) {
+            lines.push('#EXT-X-MAP:URI="init.mp4"');
+        }
+
+        let key = null;
+        for (const segment of state.segments) {
+            if (segment.discontinuity) {
+                lines.push('#EXT-X-DISCONTINUITY');
+            }
+            if (segment.key && segment.key !== key) {
+                lines.push(segment.key);
+            }
+            key = segment.key;
+            lines.push(`#EXT-X-PROGRAM-DATE-TIME:${segment.programDateTime}`);
+            lines.push(`#EXTINF:${segment.duration.toFixed(6)},`, segment.uri);
+        }
+
+        if (final) {
+            lines.push('#EXT-X-ENDLIST');
+        }
+
+        fs.writeFileSync(path.join(recordingDir, 'playlist.m3u8'), lines.join('\n') + '\n');
+    };
+
+    // Sprite sheets are taken along as they appear, the stream prunes its own copies
+    const captureSprites = () => {
+        if (!stream.thumbnails) {
+            return;
+        }
+        const known = new Set(state.sprites.map(sprite => sprite.file));
+        for (const sprite of getSpriteFiles(stream.thumbnails.spritesDir)) {
+            if (known.has(sprite.file)) {
+                continue;
+            }
+            const target = path.join(recordingDir, 'sprites', sprite.file);
+            try {
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                try {
+                    fs.linkSync(path.join(stream.thumbnails.spritesDir, sprite.file), target);
+                } catch (_) {
+                    fs.copyFileSync(path.join(stream.thumbnails.spritesDir, sprite.file), target);
+                }
+                state.sprites.push(sprite);
+            } catch (_) {
+                // Pruned before it could be taken
+            }
+        }
+    };
+
+    const writeThumbnailTrack = () => {
+        if (!stream.thumbnails || state.sprites.length === 0) {
+            return [];
+        }
+        const origin = Date.parse(state.segments[0].programDateTime);
+        const vtt = buildThumbnailVtt(stream.thumbnails.getCellsFor(state.sprites), origin, origin + meta.duration * 1000, file => `sprites/${file}`);
+        fs.writeFileSync(path.join(recordingDir, 'thumbnails.vtt'), vtt);
+        return ['thumbnails.vtt', ...state.sprites.map(sprite => `sprites/${sprite.file}`)];
+    };
+
+    const capture = () => {
+        captureSprites();
+
+        let playlist;
+        try {
+            const content = stream.llhls ? stream.llhls.renderPlaylist() : readHlsFile(source.playlistPath, 'utf8');
+            playlist = parseMediaPlaylist(content);
+        } catch (_) {
+            return;
+        }
+
+        if (stream.llhls && !fs.existsSync(path.join(recordingDir, 'init.mp4'))) {
+            try {
+                fs.copyFileSync(path.join(stream.llhls.partsDir, 'init.mp4'), path.join(recordingDir, 'init.mp4'));
+            } catch (_) {
+                return;
+            }
+        }
+
+        let added = 0;
+        for (const segment of resolveSegmentKeys(playlist.segments)) {
+            if (segment.sequence <= state.lastSequence) {
+                continue;
+            }
+            state.lastSequence = segment.sequence;
+
+            const extension = path.extname(segment.uri);
+            const uri = `segment_${state.segments.length.toString().padStart(5, '0')}${extension}`;
+            const target = path.join(recordingDir, uri);
+
+            try {
+                copyHlsFile(path.join(source.dir, segment.uri), target);
+            } catch (error) {
+                // The segment was already deleted by FFmpeg, the next one starts after a gap
+                state.gap = true;
+                continue;
+            }
+
+            const pdtTag = segment.tags.find(tag => tag.startsWith('#EXT-X-PROGRAM-DATE-TIME:'));
+            state.segments.push({
+                uri,
+                duration: segment.duration,
+                programDateTime: pdtTag ? pdtTag.slice(25) : new Date().toISOString(),
+                key: segment.key,
+                discontinuity: (state.gap || segment.tags.includes('#EXT-X-DISCONTINUITY')) && state.segments.length > 0
+            });
+            state.gap = false;
+
+            meta.segmentCount++;
+            meta.duration += segment.duration;
+            meta.sizeBytes += fs.statSync(target).size;
+            added++;
+        }
+
+        if (added > 0) {
+            meta.duration = Math.round(meta.duration * 1000) / 1000;
+            writePlaylist(false);
+            writeMeta();
+        }
+    };
+
+    const remuxToMp4 = () => {
+        // FFmpeg reads the keys straight from disk instead of going through the key route
+        const inputPath = path.join(recordingDir, meta.keySetId ? 'remux.m3u8' : 'playlist.m3u8');
+        if (meta.keySetId) {
+            const content = fs.readFileSync(path.join(recordingDir, 'playlist.m3u8'), 'utf8');
+            fs.writeFileSync(inputPath, content.replace(/URI="(\/api\/keys\/[^"]+)"/g, (match, uri) => `URI="${getKeyFilePath(uri)}"`));
+        }
+
+        const ffmpeg = spawn('ffmpeg', [
+            '-hide_banner',
+            '-loglevel', 'error',
+            '-allowed_extensions', 'ALL',
+            '-i', inputPath,
+            '-c', 'copy',
+            '-bsf:a', 'aac_adtstoasc',
+            '-movflags', '+faststart',
+            '-y',
+            path.join(recordingDir, 'recording.mp4')
+        ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+        let errorOutput = '';
+        ffmpeg.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+
+        ffmpeg.on('error', (error) => {
+            errorOutput = error.message;
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (code === 0) {
+                for (const segment of state.segments) {
+                    fs.rmSync(path.join(recordingDir, segment.uri), { force: true });
+                }
+                fs.rmSync(path.join(recordingDir, 'playlist.m3u8'), { force: true });
+                fs.rmSync(path.join(recordingDir, 'init.mp4'), { force: true });
+                meta.status = 'completed';
+                meta.files = ['recording.mp4', ...meta.files.filter(file => file === 'thumbnails.vtt' || file.startsWith('sprites/'))];
+                meta.sizeBytes = fs.statSync(path.join(recordingDir, 'recording.mp4')).size;
+                console.log(`🎞️ Recording ${recordingId} remuxed to MP4`);
+
+                // The MP4 is stored decrypted, the keys are no longer needed for it
+                const keySetId = meta.keySetId;
+                meta.keySetId = null;
+                writeMeta();
+                releaseKeySet(keySetId);
+            } else {
+                // Keep the HLS copy so the footage is not lost
+                meta.status = 'completed';
+                meta.format = 'hls';
+                meta.error = `MP4 remux failed: ${errorOutput.trim() || `exit code ${code}`}`;
+                console.error(`❌ MP4 remux failed for recording ${recordingId}:`, meta.error);
+            }
+            fs.rmSync(path.join(recordingDir, 'remux.m3u8'), { force: true });
+            writeMeta();
+            activeRecordings.delete(recordingId);
+        });
+    };
+
+    const stop = ({ remux = true } = {}) => {
+        if (state.stopped) {
+            return meta;
+        }
+        state.stopped = true;
+        clearInterval(state.pollTimer);
+        capture();
+
+        meta.endedAt = new Date().toISOString();
+
+        if (state.segments.length === 0) {
+            fs.rmSync(recordingDir, { recursive: true, force: true });
+            activeRecordings.delete(recordingId);
+            console.log(`🎞️ Recording ${recordingId} discarded, no segments were captured`);
+            return { ...meta, status: 'discarded' };
+        }
+
+        writePlaylist(true);
+        meta.files = ['playlist.m3u8', ...(stream.llhls ? ['init.mp4'] : []), ...state.segments.map(s => s.uri), ...writeThumbnailTrack()];
+
+        if (format === 'mp4' && remux) {
+            meta.status = 'finalizing';
+            writeMeta();
+            remuxToMp4();
+        } else {
+            meta.status = 'completed';
+            if (format === 'mp4') {
+                meta.format = 'hls';
+            }
+            writeMeta();
+            activeRecordings.delete(recordingId);
+        }
+
+        console.log(`🎞️ Recording ${recordingId} finalized (${meta.segmentCount} segments, ${meta.duration}s)`);
+        return meta;
+    };
+
+    writeMeta();
+    state.pollTimer = setInterval(capture, 1000);
+    activeRecordings.set(recordingId, { meta, stop });
+    console.log(`🔴 Recording started for stream ${streamId} (${recordingId})`);
+
+    return { id: recordingId, meta, stop };
+};
+
+const stopRecording = (stream, options) => {
+    if (!stream.recording) {
+        return null;
+    }
+
+    const recording = stream.recording;
+    stream.recording = null;
+    return recording.stop(options);
+};
+
+const recoverRecordings = () => {
+    if (!fs.existsSync(config.recordingsDir)) {
+        fs.mkdirSync(config.recordingsDir, { recursive: true });
+        return;
+    }
+
+    for (const recordingId of fs.readdirSync(config.recordingsDir)) {
+        const meta = readRecordingMeta(recordingId);
+        if (!meta || (meta.status !== 'recording' && meta.status !== 'finalizing')) {
+            continue;
+        }
+
+        // Left behind by a crash: close the playlist so what was captured stays playable
+        const playlistPath = path.join(config.recordingsDir, recordingId, 'playlist.m3u8');
+        if (fs.existsSync(playlistPath)) {
+            const content = fs.readFileSync(playlistPath, 'utf8');
+            if (!content.includes('#EXT-X-ENDLIST')) {
+                fs.writeFileSync(playlistPath, content.replace('#EXT-X-PLAYLIST-TYPE:EVENT', '#EXT-X-PLAYLIST-TYPE:VOD') + '#EXT-X-ENDLIST\n');
+            }
+        }
+
+        meta.status = 'interrupted';
+        meta.format = 'hls';
+        fs.writeFileSync(path.join(config.recordingsDir, recordingId, 'recording.json'), JSON.stringify(meta, null, 2));
+        console.log(`🎞️ Recovered interrupted recording ${recordingId}`);
+    }
+};
+
+const streamOptionFields = ['profile', 'overrides', 'renditions', 'lowLatency', 'dvrWindow', 'encryption', 'thumbnails', 'record', 'recordFormat', 'callbackUrl', 'priority', 'storage'];
+
+// Higher priorities are dispatched from the start queue first and may preempt idle lower priority streams
+const streamPriorities = ['low', 'normal', 'high', 'critical'];
+const priorityRank = (priority) => streamPriorities.indexOf(priority || 'normal');
+
+const clipJobs = new Map();
+
+const readClipMeta = (jobId) => {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(config.clipsDir, jobId, 'clip.json'), 'utf8'));
+    } catch (_) {
+        return null;
+    }
+};
+
+const parseClipTime = (value) => {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+};
+
+// Wall-clock start of every segment, taken from EXT-X-PROGRAM-DATE-TIME or estimated from the file mtime
+const getTimedSegments = (playlistContent, segmentDir) => {
+    const { segments } = parseMediaPlaylist(playlistContent);
+    return resolveSegmentKeys(segments).map(segment => {
+        const pdtTag = segment.tags.find(tag => tag.startsWith('#EXT-X-PROGRAM-DATE-TIME:'));
+        let start = pdtTag ? Date.parse(pdtTag.slice(25)) : NaN;
+        if (!Number.isFinite(start)) {
+            try {
+                start = getHlsFileMtime(path.join(segmentDir, segment.uri)) - segment.duration * 1000;
+            } catch (_) {
+                start = NaN;
+            }
+        }
+        return { ...segment, start, end: start + segment.duration * 1000, path: path.join(segmentDir, segment.uri) };
+    }).filter(segment => Number.isFinite(segment.start));
+};
+
+const createClipJob = (source, startTime, endTime) => {
+    const jobId = `clip_${source.id}_${Date.now()}`;
+    const jobDir = path.join(config.clipsDir, jobId);
+    const workDir = path.join(jobDir, 'work');
+    fs.mkdirSync(workDir, { recursive: true });
+
+    const job = {
+        id: jobId,
+        sourceType: source.type,
+        sourceId: source.id,
+        owner: source.owner || null,
+        status: 'collecting',
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date(endTime).toISOString(),
+        createdAt: new Date().toISOString(),
+        completedAt: null,
+        segmentCount: 0,
+        duration: null,
+        sizeBytes: null,
+        error: null
+    };
+
+    const state = {
+        segments: [],
+        collected: new Set(),
+        initCopied: false,
+        pollTimer: null,
+        deadline: Math.max(Date.now(), endTime) + config.segmentDuration * 5000
+    };
+
+    const writeMeta = () => {
+        fs.writeFileSync(path.join(jobDir, 'clip.json'), JSON.stringify(job, null, 2));
+    };
+
+    const fail = (message) => {
+        clearInterval(state.pollTimer);
+        fs.rmSync(workDir, { recursive: true, force: true });
+        job.status = 'failed';
+        job.error = message;
+        job.completedAt = new Date().toISOString();
+        writeMeta();
+        clipJobs.delete(jobId);
+        console.error(`❌ Clip ${jobId} failed: ${message}`);
+    };
+
+    // Segments are hard linked (or copied) into the job directory as soon as they are seen,
+    // so FFmpeg's delete_segments and DVR retention cannot remove them before the export runs
+    const collect = () => {
+        let timed;
+        try {
+            timed = source.getSegments();
+        } catch (_) {
+            timed = [];
+        }
+
+        if (source.initPath && !state.initCopied) {
+            try {
+                fs.copyFileSync(source.initPath, path.join(workDir, 'init.mp4'));
+                state.initCopied = true;
+            } catch (_) {
+                // Not written yet
+            }
+        }
+
+        for (const segment of timed) {
+            if (segment.end <= startTime || segment.start >= endTime || state.collected.has(segment.start)) {
+                continue;
+            }
+
+            const uri = `segment_${state.segments.length.toString().padStart(5, '0')}${path.extname(segment.uri)}`;
+            try {
+                copyHlsFile(segment.path, path.join(workDir, uri));
+            } catch (_) {
+                continue;
+            }
+
+            // Keys are copied next to the segments so the clip does not depend on the key set outliving it
+            let key = null;
+            if (segment.key) {
+                const { uri: keyUri, iv } = parseKeyTag(segment.key);
+                const keyFile = `${path.basename(uri, path.extname(uri))}.key`;
+                try {
+                    fs.copyFileSync(getKeyFilePath(keyUri), path.join(workDir, keyFile));
+                } catch (_) {
+                    fs.rmSync(path.join(workDir, uri), { force: true });
+                    continue;
+                }
+                key = `#EXT-X-KEY:METHOD=AES-128,URI="${keyFile}"${iv ? `,IV=0x${iv}` : ''}`;
+            }
+
+            state.collected.add(segment.start);
+            state.segments.push({ uri, start: segment.start, duration: segment.duration, key });
+        }
+
+        state.segments.sort((a, b) => a.start - b.start);
+        job.segmentCount = state.segments.length;
+
+        const lastEnd = timed.length > 0 ? timed[timed.length - 1].end : 0;
+        const finished = lastEnd >= endTime || !source.isLive() || Date.now() > state.deadline;
+
+        if (finished) {
+            clearInterval(state.pollTimer);
+            if (state.segments.length === 0) {
+                return fail('No segments available for the requested time range');
+            }
+            exportClip();
+        } else {
+            writeMeta();
+        }
+    };
+
+    const exportClip = () => {
+        job.status = 'processing';
+        writeMeta();
+
+        const lines = [
+            '#EXTM3U',
+            `#EXT-X-VERSION:${state.initCopied ? 7 : 3}`,
+            `#EXT-X-TARGETDURATION:${Math.ceil(Math.max(...state.segments.map(s => s.duration)))}`,
+            '#EXT-X-PLAYLIST-TYPE:VOD',
+            '#EXT-X-MEDIA-SEQUENCE:0'
+        ];
+        if (state.initCopied) {
+            lines.push('#EXT-X-MAP:URI="init.mp4"');
+        }
+        for (const segment of state.segments) {
+            if (segment.key) {
+                lines.push(segment.key);
+            }
+            lines.push(`#EXTINF:${segment.duration.toFixed(6)},`, segment.uri);
+        }
+        lines.push('#EXT-X-ENDLIST');
+        fs.writeFileSync(path.join(workDir, 'clip.m3u8'), lines.join('\n') + '\n');
+
+        const offset = Math.max(0, (startTime - state.segments[0].start) / 1000);
+        const duration = (endTime - Math.max(startTime, state.segments[0].start)) / 1000;
+
+        const ffmpeg = spawn('ffmpeg', [
+            '-hide_banner',
+            '-loglevel', 'error',
+            '-ss', offset.toFixed(3),
+            '-allowed_extensions', 'ALL',
+            '-i', path.join(workDir, 'clip.m3u8'),
+            '-t', duration.toFixed(3),
+            '-c', 'copy',
+            '-bsf:a', 'aac_adtstoasc',
+            '-movflags', '+faststart',
+            '-y',
+            path.join(jobDir, 'clip.mp4')
+        ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+        let errorOutput = '';
+        ffmpeg.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+
+        ffmpeg.on('error', (error) => {
+            errorOutput = error.message;
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) {
+                return fail(errorOutput.trim() || `FFmpeg exited with code ${code}`);
+            }
+
+            fs.rmSync(workDir, { recursive: true, force: true });
+            job.status = 'completed';
+            job.completedAt = new Date().toISOString();
+            job.duration = Math.round(duration * 1000) / 1000;
+            job.sizeBytes = fs.statSync(path.join(jobDir, 'clip.mp4')).size;
+            writeMeta();
+            clipJobs.delete(jobId);
+            console.log(`✂️ Clip ${jobId} exported (${job.duration}s)`);
+        });
+    };
+
+    writeMeta();
+    clipJobs.set(jobId, job);
+    console.log(`✂️ Clip ${jobId} requested for ${source.type} ${source.id} (${job.startTime} → ${job.endTime})`);
+
+    collect();
+    if (job.status === 'collecting') {
+        state.pollTimer = setInterval(collect, 1000);
+    }
+
+    return job;
+};
+
+const resolveClipRange = (body, reference) => {
+    let startTime;
+    let endTime;
+
+    if (body.startTime !== undefined || body.endTime !== undefined) {
+        startTime = parseClipTime(body.startTime);
+        endTime = parseClipTime(body.endTime);
+    } else if (body.startOffset !== undefined || body.endOffset !== undefined) {
+        const startOffset = Number(body.startOffset);
+        const endOffset = Number(body.endOffset);
+        startTime = Number.isFinite(startOffset) ? reference + startOffset * 1000 : null;
+        endTime = Number.isFinite(endOffset) ? reference + endOffset * 1000 : null;
+    } else {
+        return { error: 'startTime/endTime or startOffset/endOffset are required' };
+    }
+
+    if (startTime === null || endTime === null) {
+        return { error: 'Invalid clip start or end' };
+    }
+    if (endTime <= startTime) {
+        return { error: 'Clip end must be after clip start' };
+    }
+    if (endTime - startTime > config.maxClipDuration * 1000) {
+        return { error: `Clips are limited to ${config.maxClipDuration} seconds` };
+    }
+
+    return { startTime, endTime };
+};
+
+const recordingFormats = ['hls', 'mp4'];
+const hlsStorageTypes = ['disk', 'memory'];
+
+const parseStreamOptions = (body) => {
+    const { renditions, error: renditionError } = parseRenditions(body.renditions);
+    if (renditionError) {
+        return { error: renditionError };
+    }
+
+    const transcoding = resolveTranscodingSettings(body.profile, body.overrides);
+    if (transcoding.error) {
+        return { error: transcoding.error };
+    }
+
+    const lowLatency = body.lowLatency === true;
+    if (lowLatency && (renditions || transcoding.settings.videoCodec !== 'libx264')) {
+        return { error: 'lowLatency requires a single rendition with a transcoding video profile' };
+    }
+
+    if (renditions && (transcoding.settings.videoCodec !== 'libx264' || !transcoding.settings.audioCodec || transcoding.settings.audioCodec === 'copy')) {
+        return { error: `Profile "${transcoding.profile}" cannot be used with renditions, a transcoding profile is required` };
+    }
+
+    let dvr = null;
+    if (body.dvrWindow !== undefined && body.dvrWindow !== null) {
+        const window = Number(body.dvrWindow);
+        if (!Number.isInteger(window) || window < 60 || window > config.dvrMaxWindow) {
+            return { error: `Invalid dvrWindow, allowed range: 60-${config.dvrMaxWindow} seconds` };
+        }
+        if (lowLatency) {
+            return { error: 'dvrWindow cannot be combined with lowLatency' };
+        }
+        dvr = { window };
+    }
+
+    let encryption = null;
+    if (body.encryption !== undefined && body.encryption !== null && body.encryption !== false) {
+        const requested = body.encryption === true ? {} : body.encryption;
+        if (typeof requested !== 'object') {
+            return { error: 'encryption must be true or an object' };
+        }
+        if (requested.method !== undefined && requested.method !== 'AES-128') {
+            return { error: 'Only AES-128 encryption is supported, FFmpeg cannot produce SAMPLE-AES HLS' };
+        }
+
+        const rotateEvery = requested.rotateEvery !== undefined ? Number(requested.rotateEvery) : config.keyRotationSegments;
+        if (!Number.isInteger(rotateEvery) || rotateEvery < 0) {
+            return { error: 'encryption.rotateEvery must be a non-negative whole number of segments' };
+        }
+        if (lowLatency) {
+            return { error: 'encryption cannot be combined with lowLatency' };
+        }
+        encryption = { method: 'AES-128', rotateEvery };
+    }
+
+    let thumbnails = null;
+    if (body.thumbnails !== undefined && body.thumbnails !== null && body.thumbnails !== false) {
+        const requested = body.thumbnails === true ? {} : body.thumbnails;
+        if (typeof requested !== 'object') {
+            return { error: 'thumbnails must be true or an object' };
+        }
+
+        thumbnails = {
+            format: requested.format || 'jpg',
+            interval: requested.interval !== undefined ? Number(requested.interval) : config.thumbnailInterval,
+            width: requested.width !== undefined ? Number(requested.width) : config.thumbnailWidth
+        };
+        if (!thumbnailFormats[thumbnails.format]) {
+            return { error: `Invalid thumbnails.format, allowed values: ${Object.keys(thumbnailFormats).join(', ')}` };
+        }
+        if (!Number.isInteger(thumbnails.interval) || thumbnails.interval < 1 || thumbnails.interval > 3600) {
+            return { error: 'Invalid thumbnails.interval, allowed range: 1-3600 seconds' };
+        }
+        if (!Number.isInteger(thumbnails.width) || thumbnails.width < 64 || thumbnails.width > 1920) {
+            return { error: 'Invalid thumbnails.width, allowed range: 64-1920' };
+        }
+    }
+
+    let record = null;
+    if (body.record === true) {
+        const format = body.recordFormat || 'hls';
+        if (!recordingFormats.includes(format)) {
+            return { error: `Invalid recordFormat, allowed values: ${recordingFormats.join(', ')}` };
+        }
+        record = { format };
+    }
+
+    const callbackUrl = body.callbackUrl || null;
+    if (callbackUrl && !(isValidUrl(callbackUrl) && /^https?:/.test(callbackUrl))) {
+        return { error: 'callbackUrl must be an http(s) URL' };
+    }
+    if (callbackUrl && !isCallbackUrlAllowed(callbackUrl)) {
+        return { error: config.callbackAllowedHosts.length > 0
+            ? 'callbackUrl host is not in CALLBACK_ALLOWED_HOSTS'
+            : 'callbackUrl must not point to a private, loopback or link-local address' };
+    }
+
+    const priority = body.priority === undefined || body.priority === null ? 'normal' : body.priority;
+    if (!streamPriorities.includes(priority)) {
+        return { error: `priority must be one of: ${streamPriorities.join(', ')}` };
+    }
+
+    // DVR and LL-HLS keep working on the files on disk, everything else follows HLS_STORAGE
+    const storage = body.storage === undefined || body.storage === null
+        ? (dvr || lowLatency ? 'disk' : config.hlsStorage)
+        : body.storage;
+    if (!hlsStorageTypes.includes(storage)) {
+        return { error: `storage must be one of: ${hlsStorageTypes.join(', ')}` };
+    }
+    if (storage === 'memory' && (dvr || lowLatency)) {
+        return { error: 'storage "memory" cannot be combined with dvrWindow or lowLatency' };
+    }
+
+    return { options: { renditions, transcoding, lowLatency, dvr, encryption, thumbnails, record, callbackUrl, priority, storage } };
+};
+
+const failedStreams = new Map();
+
+const getSupervisorStatus = (stream) => ({
+    state: stream.supervisor.state,
+    attempt: stream.supervisor.attempt,
+    maxRetries: config.maxRetries,
+    restartCount: stream.supervisor.restarts.length,
+    restarts: stream.supervisor.restarts
+});
+
+// A stream waiting in backoff has no process whose close handler would clean up after it
+const cancelRestart = (stream) => {
+    if (stream.supervisor && stream.supervisor.timer) {
+        clearTimeout(stream.supervisor.timer);
+        stream.supervisor.timer = null;
+        if (stream.llhls) stream.llhls.stop();
+    }
+};
+
+// callbackUrl comes from API clients, so without an operator allow-list it may only reach public addresses.
+// Otherwise a stream could make the server POST to the cloud metadata service or to internal admin ports.
+const privateAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    const ip = mapped ? mapped[1] : address;
+    return privateAddresses.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+};
+
+const isCallbackUrlAllowed = (url) => {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (config.callbackAllowedHosts.length > 0) {
+        return matchesHostList(config.callbackAllowedHosts, hostname);
+    }
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+        return false;
+    }
+    return !(net.isIP(hostname) && isPrivateAddress(hostname));
+};
+
+// Checked when connecting, a hostname may resolve to a public address at start time and a private one later
+const lookupPublicAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new Error(`${hostname} resolves to a private address`));
+        }
+        return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const postJson = (url, body, headers, timeout = config.webhookTimeout, lookup) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+        timeout: timeout,
+        lookup: lookup
+    }, (response) => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => { text += chunk; });
+        response.on('end', () => resolve({ statusCode: response.statusCode, text }));
+    });
+    request.on('timeout', () => request.destroy(new Error(`No response within ${timeout}ms`)));
+    request.on('error', reject);
+    request.end(body);
+});
+
+// One JSON line per delivery attempt, appended so it survives restarts. Past WEBHOOK_LOG_MAX_BYTES the log
+// moves to "<file>.1", which keeps both the disk use and the reads of /api/webhooks/deliveries bounded.
+const logWebhookDelivery = (entry) => {
+    try {
+        if (fs.existsSync(config.webhookLogFile) && fs.statSync(config.webhookLogFile).size >= config.webhookLogMaxBytes) {
+            fs.renameSync(config.webhookLogFile, `${config.webhookLogFile}.1`);
+        }
+        fs.appendFileSync(config.webhookLogFile, JSON.stringify(entry) + '\n');
+    } catch (error) {
+        console.error('❌ Could not write webhook delivery log:', error.message);
+    }
+};
+
+const readWebhookDeliveries = () => {
+    try {
+        return fs.readFileSync(config.webhookLogFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (_) {
+        return [];
+    }
+};
+
+const deliverWebhook = async (delivery, attempt = 1) => {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+        'User-Agent': 'flv-to-hls-webhooks',
+        'X-Webhook-Id': delivery.payload.id,
+        'X-Webhook-Event': delivery.payload.event,
+        'X-Webhook-Timestamp': timestamp
+    };
+    // Receivers recompute HMAC-SHA256 over "<timestamp>.<body>" and reject old timestamps to stop replays
+    if (config.webhookSecret) {
+        headers['X-Webhook-Signature'] = `sha256=${crypto.createHmac('sha256', config.webhookSecret).update(`${timestamp}.${delivery.body}`).digest('hex')}`;
+    }
+
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+    try {
+        if (delivery.callback && !isCallbackUrlAllowed(delivery.url)) {
+            throw new Error('callbackUrl target is not allowed');
+        }
+        const lookup = delivery.callback && config.callbackAllowedHosts.length === 0 ? lookupPublicAddress : undefined;
+        ({ statusCode } = await postJson(delivery.url, delivery.body, headers, config.webhookTimeout, lookup));
+        if (statusCode < 200 || statusCode >= 300) {
+            error = `HTTP ${statusCode}`;
+        }
+    } catch (requestError) {
+        error = requestError.message;
+    }
+
+    const retry = error && attempt < config.webhookMaxAttempts;
+    logWebhookDelivery({
+        eventId: delivery.payload.id,
+        event: delivery.payload.event,
+        streamId: delivery.payload.streamId,
+        owner: delivery.owner,
+        url: delivery.url,
+        attempt: attempt,
+        status: !error ? 'delivered' : retry ? 'retrying' : 'failed',
+        statusCode: statusCode,
+        error: error,
+        durationMs: Date.now() - startedAt,
+        at: new Date().toISOString()
+    });
+
+    if (retry) {
+        const delay = Math.min(config.webhookRetryDelay * 2 ** (attempt - 1), config.maxRetryDelay);
+        setTimeout(() => deliverWebhook(delivery, attempt + 1), delay).unref();
+    } else if (error) {
+        console.error(`❌ Webhook ${delivery.payload.event} for ${delivery.payload.streamId} to ${delivery.url} failed after ${attempt} attempts: ${error}`);
+    }
+};
+
+// stopStream drops the live metrics entry before the process exits, the stream keeps its own reference
+const emitStoppedEvent = (safeStreamId, stream, exitCode) => {
+    const metrics = stream.metrics;
+    emitStreamEvent(safeStreamId, 'stream.stopped', stream, {
+        reason: stream.stopReason || (shuttingDown ? 'shutdown' : stream.supervisor.state === 'failed' ? 'failed' : 'exited'),
+        exitCode: exitCode,
+        lastError: metrics.lastError,
+        metrics: {
+            uptime: Date.now() - metrics.startTime,
+            reconnects: metrics.reconnectCount,
+            errors: metrics.errorCount,
+            segments: metrics.segmentCount,
+            restarts: stream.supervisor.restarts.length
+        }
+    });
+};
+
+// Open /api/streams/events connections, each with its own stream filter and credential
+const eventSubscribers = new Set();
+let lastEventId = 0;
+
+const sendServerEvent = (res, event, data) => {
+    res.write(`id: ${++lastEventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const publishStreamEvent = (safeStreamId, event, stream, data) => {
+    for (const subscriber of eventSubscribers) {
+        if (subscriber.streamIds && !subscriber.streamIds.has(safeStreamId)) {
+            continue;
+        }
+        if (stream && !canAccess(subscriber.req, stream.owner)) {
+            continue;
+        }
+        sendServerEvent(subscriber.res, event, { streamId: safeStreamId, timestamp: new Date().toISOString(), ...data });
+    }
+};
+
+// Fired at the global WEBHOOK_URLS and the stream's own callbackUrl, never blocks the caller
+const emitStreamEvent = (safeStreamId, event, stream, data = {}) => {
+    publishStreamEvent(safeStreamId, event, stream, data);
+
+    const urls = [...config.webhookUrls];
+    if (stream && stream.callbackUrl && !urls.includes(stream.callbackUrl)) {
+        urls.push(stream.callbackUrl);
+    }
+    if (urls.length === 0) {
+        return;
+    }
+
+    const payload = {
+        id: crypto.randomUUID(),
+        event: event,
+        streamId: safeStreamId,
+        timestamp: new Date().toISOString(),
+        data: data
+    };
+    const body = JSON.stringify(payload);
+
+    for (const url of urls) {
+        deliverWebhook({ url, payload, body, owner: stream ? stream.owner : null, callback: !config.webhookUrls.includes(url) });
+    }
+};
+
+const abortStream = (safeStreamId) => {
+    if (activeStreams.has(safeStreamId)) {
+        const stream = activeStreams.get(safeStreamId);
+        if (stream.timeout) clearTimeout(stream.timeout);
+        cancelRestart(stream);
+        stopRecording(stream);
+        if (stream.process && !stream.process.killed) {
+            stream.process.kill('SIGTERM');
+        }
+        activeStreams.delete(safeStreamId);
+        if (stream.encryption) {
+            releaseKeySet(stream.encryption.keySetId);
+        }
+    }
+
+    streamStore.remove(safeStreamId);
+    cleanupStreamDirectory(safeStreamId);
+};
+
+const startStream = async (safeStreamId, flvUrl, options, client) => {
+    const { renditions, transcoding, lowLatency, dvr, encryption, thumbnails, callbackUrl, priority, storage = 'disk', source = 'pull' } = options;
+    failedStreams.delete(safeStreamId);
+
+    // A memory store left by a stop that has not been cleaned up yet is continued like a leftover directory
+    if (storage === 'memory' && !memoryStores.has(safeStreamId)) {
+        memoryStores.set(safeStreamId, createMemorySegmentStore(safeStreamId));
+    } else if (storage !== 'memory') {
+        memoryStores.delete(safeStreamId);
+    }
+    const memoryStore = memoryStores.get(safeStreamId) || null;
+
+    const streamDir = path.join(hlsDir, safeStreamId);
+    const resume = hlsFileExists(path.join(streamDir, renditions ? 'master.m3u8' : 'playlist.m3u8')) && !lowLatency;
+    if (!fs.existsSync(streamDir)) {
+        fs.mkdirSync(streamDir, { recursive: true });
+    }
+
+    console.log(`🚀 Starting FFmpeg for stream ${safeStreamId}`);
+    console.log(`📹 Input: ${flvUrl}`);
+    console.log(`📂 Output: ${memoryStore ? 'memory' : streamDir}`);
+
+    if (renditions) {
+        console.log(`🎚️ Renditions: ${renditions.map(r => `${r.name}@${r.videoBitrate}k`).join(', ')}`);
+    }
+
+    console.log(`🎛️ Profile: ${transcoding.profile}`);
+
+    const llhls = lowLatency ? createLowLatencyPackager(streamDir, transcoding.settings.frameRate) : null;
+    if (llhls) {
+        console.log(`⚡ Low-latency HLS enabled (part target ${llhls.partTarget.toFixed(3)}s)`);
+        llhls.start();
+    }
+
+    if (dvr) {
+        console.log(`⏪ DVR window: ${dvr.window}s`);
+    }
+
+    const encryptor = encryption ? createSegmentEncryptor({
+        keySetId: encryption.keySetId || `${safeStreamId}_${Date.now()}`,
+        streamId: safeStreamId,
+        owner: client.ownerId || null,
+        rotateEvery: encryption.rotateEvery,
+        outputsPerSegment: renditions ? renditions.length : 1
+    }) : null;
+    if (encryptor) {
+        console.log(`🔐 AES-128 encryption enabled (key set ${encryptor.keySetId}${encryption.rotateEvery ? `, new key every ${encryption.rotateEvery} segments` : ''})`);
+    }
+
+    const thumbnailer = thumbnails ? createThumbnailer(streamDir, thumbnails) : null;
+    if (thumbnailer) {
+        console.log(`🖼️ Thumbnails every ${thumbnails.interval}s (${thumbnails.format}, ${thumbnails.width}px)`);
+    }
+
+    let errorOccurred = false;
+    let lastErrorMessage = '';
+
+    streamMetrics.set(safeStreamId, {
+        startTime: Date.now(),
+        reconnectCount: 0,
+        errorCount: 0,
+        warningCount: 0,
+        lastError: null,
+        segmentCount: 0,
+        lastSegment: null,
+        lastSegmentTime: null,
+        frames: 0,
+        fps: null,
+        bitrateKbps: null,
+        speed: null,
+        outTime: null,
+        totalSize: 0,
+        droppedFrames: 0,
+        duplicatedFrames: 0,
+        progressUpdatedAt: null
+    });
+
+    const streamData = {
+        process: null,
+        startTime: Date.now(),
+        flvUrl: flvUrl,
+        source: source,
+        renditions: renditions,
+        transcoding: transcoding,
+        llhls: llhls,
+        dvr: dvr ? { window: dvr.window, trimBefore: {} } : null,
+        storage: storage,
+        playlistName: renditions ? 'master.m3u8' : 'playlist.m3u8',
+        metrics: streamMetrics.get(safeStreamId),
+        lastActivity: Date.now(),
+        idleTimeout: options.idleTimeout || config.streamTimeout,
+        callbackUrl: callbackUrl || null,
+        priority: priority || 'normal',
+        stopReason: null,
+        clientIP: client.ip,
+        userAgent: client.userAgent,
+        owner: client.ownerId || null,
+        encryption: encryptor,
+        thumbnails: thumbnailer,
+        supervisor: {
+            state: 'running',
+            armed: false,
+            attempt: 0,
+            processStartedAt: null,
+            timer: null,
+            restarts: []
+        },
+        timeout: setTimeout(() => {
+            console.log(`⏰ Stream ${safeStreamId} has had no viewers for ${streamData.idleTimeout / 1000}s, stopping...`);
+            streamData.stopReason = 'timeout';
+            emitStreamEvent(safeStreamId, 'stream.timeout', streamData, { idleTimeout: streamData.idleTimeout });
+
+            // Nothing to kill while waiting for a restart
+            if (streamData.supervisor.state === 'backoff') {
+                stopStream(safeStreamId);
+                return;
+            }
+
+            const ffmpeg = streamData.process;
+            streamData.supervisor.armed = false;
+            try {
+                if (!ffmpeg.killed) {
+                    ffmpeg.kill('SIGTERM');
+                    
+                    setTimeout(() => {
+                        if (!ffmpeg.killed) {
+                            ffmpeg.kill('SIGKILL');
+                        }
+                    }, 5000);
+                }
+            } catch (error) {
+                console.error(`Error killing timed out stream ${safeStreamId}:`, error);
+            }
+        }, options.idleTimeout || config.streamTimeout)
+    };
+
+    const finalize = (code) => {
+        const current = activeStreams.get(safeStreamId) === streamData;
+        if (current) {
+            activeStreams.delete(safeStreamId);
+        }
+        stopRecording(streamData);
+        if (llhls) llhls.stop();
+        
+        const metrics = streamMetrics.get(safeStreamId);
+        if (metrics) {
+            console.log(`📊 Final metrics for ${safeStreamId}:`, {
+                uptime: Date.now() - metrics.startTime,
+                reconnects: metrics.reconnectCount,
+                errors: metrics.errorCount,
+                segments: metrics.segmentCount,
+                restarts: streamData.supervisor.restarts.length
+            });
+        }
+
+        emitStoppedEvent(safeStreamId, streamData, code);
+
+        if (streamData.supervisor.state === 'failed') {
+            failedStreams.set(safeStreamId, {
+                failedAt: Date.now(),
+                flvUrl: flvUrl,
+                owner: streamData.owner,
+                lastError: metrics ? metrics.lastError : null,
+                supervisor: getSupervisorStatus(streamData)
+            });
+        }
+        
+        // During shutdown the directory and registry entry are kept so the next boot can resume
+        if (!shuttingDown) {
+            if (current) {
+                streamStore.remove(safeStreamId);
+            }
+            if (encryptor) {
+                releaseKeySet(encryptor.keySetId);
+            }
+            cleanupStreamDirectory(safeStreamId);
+        }
+
+        if (options.onClose) options.onClose(code);
+    };
+
+    const scheduleRestart = (code) => {
+        const supervisor = streamData.supervisor;
+        const metrics = streamMetrics.get(safeStreamId);
+
+        // A process that ran for a while earns a fresh set of retries
+        if (Date.now() - supervisor.processStartedAt > config.retryResetTime) {
+            supervisor.attempt = 0;
+        }
+
+        const entry = {
+            exitedAt: new Date().toISOString(),
+            exitCode: code,
+            lastError: metrics ? metrics.lastError : null,
+            attempt: supervisor.attempt + 1,
+            delay: null
+        };
+
+        if (supervisor.attempt >= config.maxRetries) {
+            supervisor.state = 'failed';
+            supervisor.restarts.push(entry);
+            console.error(`❌ Stream ${safeStreamId} failed after ${config.maxRetries} restart attempts`);
+            emitStreamEvent(safeStreamId, 'stream.error', streamData, { fatal: true, exitCode: code, message: entry.lastError || `FFmpeg exited with code ${code}` });
+            return false;
+        }
+
+        entry.delay = Math.min(config.retryDelay * 2 ** supervisor.attempt, config.maxRetryDelay);
+        supervisor.attempt++;
+        supervisor.state = 'backoff';
+        supervisor.restarts.push(entry);
+        if (supervisor.restarts.length > 50) {
+            supervisor.restarts.shift();
+        }
+
+        console.log(`🔁 Restarting stream ${safeStreamId} in ${entry.delay}ms (attempt ${supervisor.attempt}/${config.maxRetries})`);
+        emitStreamEvent(safeStreamId, 'stream.reconnect', streamData, { kind: 'restart', attempt: supervisor.attempt, delay: entry.delay, exitCode: code });
+        if (llhls) llhls.resume();
+
+        supervisor.timer = setTimeout(() => {
+            supervisor.timer = null;
+            if (activeStreams.get(safeStreamId) !== streamData || shuttingDown) {
+                return;
+            }
+
+            launch(true);
+            entry.restartedAt = new Date().toISOString();
+        }, entry.delay);
+
+        return true;
+    };
+
+    const launch = (resume) => {
+        const ffmpeg = createFFmpegProcess(flvUrl, streamDir, safeStreamId, {
+            settings: transcoding.settings,
+            renditions,
+            llhls,
+            dvr,
+            resume,
+            encryptor,
+            thumbnailer,
+            memoryStore
+        });
+
+        streamData.process = ffmpeg;
+        streamData.supervisor.state = 'running';
+        streamData.supervisor.processStartedAt = Date.now();
+
+        // Progress figures describe the current process, counters keep running across restarts
+        ffmpeg.stdout.on('data', createProgressParser((report) => {
+            const metrics = streamMetrics.get(safeStreamId);
+            if (metrics) {
+                metrics.frames = report.frames;
+                metrics.fps = report.fps;
+                metrics.bitrateKbps = report.bitrateKbps;
+                metrics.speed = report.speed;
+                metrics.outTime = report.outTime;
+                metrics.totalSize = report.totalSize;
+                metrics.droppedFrames = report.droppedFrames;
+                metrics.duplicatedFrames = report.duplicatedFrames;
+                metrics.progressUpdatedAt = Date.now();
+            }
+        }));
+
+        ffmpeg.stderr.on('data', createLineSplitter((line) => {
+            console.log(`🔧 FFmpeg stderr [${safeStreamId}]:`, line);
+            
+            const metrics = streamMetrics.get(safeStreamId);
+            if (!metrics) {
+                return;
+            }
+
+            const segment = line.match(segmentOpenPattern);
+            if (segment) {
+                metrics.segmentCount++;
+                metrics.lastSegment = path.basename(segment[1]);
+                metrics.lastSegmentTime = Date.now();
+                if (encryptor) encryptor.onSegment();
+                publishStreamEvent(safeStreamId, 'stream.segment', streamData, { segment: metrics.lastSegment, segmentCount: metrics.segmentCount });
+            }
+
+            // Logged by the http protocol before each reconnect attempt
+            if (line.includes('Will reconnect at')) {
+                metrics.reconnectCount++;
+                console.log(`🔄 Reconnect count for ${safeStreamId}: ${metrics.reconnectCount}`);
+                emitStreamEvent(safeStreamId, 'stream.reconnect', streamData, { kind: 'input', reconnectCount: metrics.reconnectCount });
+            }
+
+            const levelMatch = line.match(ffmpegLogLevelPattern);
+            const level = levelMatch ? levelMatch[1] : null;
+
+            if (level === 'warning') {
+                metrics.warningCount++;
+            } else if (level === 'error' || level === 'fatal' || level === 'panic') {
+                metrics.errorCount++;
+                metrics.lastError = line;
+                lastErrorMessage = line;
+                
+                const critical = criticalErrorPatterns.some(pattern => line.includes(pattern));
+                if (critical || metrics.errorCount > 10) {
+                    errorOccurred = true;
+                }
+                if (critical) {
+                    emitStreamEvent(safeStreamId, 'stream.error', streamData, { fatal: false, message: line, errorCount: metrics.errorCount });
+                }
+            }
+        }));
+
+        ffmpeg.on('close', (code) => {
+            console.log(`⛔ FFmpeg process [${safeStreamId}] exited with code ${code}`);
+
+            // Only unexpected exits of a stream that finished starting up are restarted
+            const supervised = streamData.supervisor.armed &&
+                activeStreams.get(safeStreamId) === streamData &&
+                streamData.process === ffmpeg &&
+                !shuttingDown;
+
+            if (supervised && scheduleRestart(code)) {
+                return;
+            }
+
+            finalize(code);
+        });
+
+        ffmpeg.on('error', (error) => {
+            console.error(`❌ FFmpeg error [${safeStreamId}]:`, error);
+            if (!streamData.supervisor.armed && activeStreams.get(safeStreamId) === streamData) {
+                activeStreams.delete(safeStreamId);
+            }
+            
+            const metrics = streamMetrics.get(safeStreamId);
+            if (metrics) {
+                metrics.errorCount++;
+                metrics.lastError = error.message;
+            }
+            
+            errorOccurred = true;
+            lastErrorMessage = error.message;
+            emitStreamEvent(safeStreamId, 'stream.error', streamData, { fatal: false, message: error.message });
+        });
+    };
+
+    launch(resume);
+
+    activeStreams.set(safeStreamId, streamData);
+    emitStreamEvent(safeStreamId, 'stream.started', streamData, {
+        flvUrl: flvUrl,
+        source: source,
+        playlistPath: `/hls/${safeStreamId}/${streamData.playlistName}`,
+        resumed: resume
+    });
+
+    if (options.record) {
+        streamData.recording = createRecorder(safeStreamId, streamData, options.record.format);
+    }
+
+    // The master playlist is written up front, so wait on the first media playlist instead
+    const playlistPath = llhls ? llhls.partsPlaylistPath : getMediaPlaylists(safeStreamId, streamData)[0].playlistPath;
+    
+    try {
+        console.log(`⏳ Waiting for HLS playlist for stream ${safeStreamId}...`);
+        await waitForPlaylist(playlistPath, 30000);
+        console.log(`✅ HLS playlist ready for stream ${safeStreamId}`);
+        emitStreamEvent(safeStreamId, 'stream.ready', streamData, {
+            playlistPath: `/hls/${safeStreamId}/${streamData.playlistName}`,
+            startupTime: Date.now() - streamData.startTime
+        });
+    } catch (waitError) {
+        console.warn(`⚠️ Playlist not ready yet for ${safeStreamId}: ${waitError.message}`);
+        
+        if (errorOccurred) {
+            abortStream(safeStreamId);
+            
+            return {
+                success: false,
+                error: lastErrorMessage || 'Stream source might be unavailable',
+                details: 'Critical error occurred during stream initialization'
+            };
+        }
+    }
+
+    if (errorOccurred || streamData.process.killed || activeStreams.get(safeStreamId) !== streamData) {
+        // A process that already exited was cleaned up by its close handler, and the id may belong to a newer stream by now
+        if (activeStreams.get(safeStreamId) === streamData) {
+            abortStream(safeStreamId);
+        }
+        
+        return {
+            success: false,
+            error: lastErrorMessage || 'Stream source might be unavailable',
+            details: 'Process died during startup'
+        };
+    }
+
+    // From here on crashes are handled by the supervisor instead of ending the stream
+    streamData.supervisor.armed = true;
+
+    return { success: true, streamData };
+};
+
+const stopStream = (safeStreamId) => {
+    const stream = activeStreams.get(safeStreamId);
+    if (!stream) {
+        return null;
+    }
+
+    if (stream.timeout) {
+        clearTimeout(stream.timeout);
+    }
+    stream.stopReason = stream.stopReason || 'stopped';
+    // Without a running process no close handler will report the stop
+    if (stream.supervisor.state === 'backoff') {
+        emitStoppedEvent(safeStreamId, stream, null);
+    }
+    cancelRestart(stream);
+
+    // Finalize before the process is killed so the last segments still exist on disk
+    const recording = stopRecording(stream);
+
+    const metrics = streamMetrics.get(safeStreamId);
+    const finalMetrics = metrics ? {
+        uptime: Date.now() - metrics.startTime,
+        reconnects: metrics.reconnectCount,
+        errors: metrics.errorCount,
+        segments: metrics.segmentCount
+    } : null;
+
+    try {
+        // A stream in backoff has no running process left to kill
+        if (!stream.process.killed && stream.supervisor.state === 'running') {
+            stream.process.kill('SIGTERM');
+            
+            setTimeout(() => {
+                if (!stream.process.killed) {
+                    console.warn(`Force killing stream ${safeStreamId}`);
+                    stream.process.kill('SIGKILL');
+                }
+            }, 5000);
+        }
+    } catch (killError) {
+        console.error(`Error killing process for stream ${safeStreamId}:`, killError);
+    }
+
+    activeStreams.delete(safeStreamId);
+    streamMetrics.delete(safeStreamId);
+    streamStore.remove(safeStreamId);
+
+    cleanupStreamDirectory(safeStreamId);
+    // A freed slot can go to the next queued start right away
+    setImmediate(processQueue);
+
+    return { metrics: finalMetrics, recording };
+};
+
+const loadStreamKeys = () => {
+    try {
+        if (fs.existsSync(config.streamKeysFile)) {
+            return new Map(Object.entries(JSON.parse(fs.readFileSync(config.streamKeysFile, 'utf8'))));
+        }
+    } catch (error) {
+        console.error(`❌ Could not load stream keys from ${config.streamKeysFile}:`, error.message);
+    }
+    return new Map();
+};
+
+const streamKeys = loadStreamKeys();
+const rtmpPublishers = new Map();
+
+const saveStreamKeys = () => {
+    fs.writeFileSync(config.streamKeysFile, JSON.stringify(Object.fromEntries(streamKeys), null, 4));
+};
+
+const findStreamKey = (safeStreamId) => {
+    for (const [key, entry] of streamKeys.entries()) {
+        if (entry.streamId === safeStreamId) {
+            return key;
+        }
+    }
+    return null;
+};
+
+const maskStreamKey = (key) => `${key.slice(0, 4)}…${key.slice(-4)}`;
+
+const startRtmpServer = () => {
+    const nms = new NodeMediaServer({
+        rtmp: {
+            port: config.rtmpPort,
+            chunk_size: 60000,
+            gop_cache: true,
+            ping: 30,
+            ping_timeout: 60
+        },
+        logType: 1
+    });
+
+    nms.on('prePublish', (id, streamPath) => {
+        const session = nms.getSession(id);
+        const key = streamPath.split('/').pop();
+        const entry = streamKeys.get(key);
+
+        if (shuttingDown) {
+            return session.reject();
+        }
+
+        if (!entry) {
+            console.warn(`🚫 RTMP publish rejected, unknown stream key on ${streamPath.replace(key, maskStreamKey(key))}`);
+            return session.reject();
+        }
+
+        if (activeStreams.has(entry.streamId)) {
+            console.warn(`🚫 RTMP publish rejected, stream ${entry.streamId} is already active`);
+            return session.reject();
+        }
+
+        const admission = getAdmission();
+        if (!admission.admitted) {
+            console.warn(`🚫 RTMP publish rejected for ${entry.streamId}: ${admission.message}`);
+            return session.reject();
+        }
+    });
+
+    nms.on('postPublish', async (id, streamPath) => {
+        const session = nms.getSession(id);
+        const entry = streamKeys.get(streamPath.split('/').pop());
+        if (!session || !entry) {
+            return;
+        }
+
+        const { options, error } = parseStreamOptions(entry);
+        if (error) {
+            console.error(`❌ Invalid ingest settings for stream ${entry.streamId}: ${error}`);
+            return session.reject();
+        }
+
+        console.log(`📡 RTMP publish started for stream ${entry.streamId}`);
+        rtmpPublishers.set(entry.streamId, id);
+
+        try {
+            const result = await startStream(entry.streamId, `rtmp://127.0.0.1:${config.rtmpPort}${streamPath}`, {
+                ...options,
+                source: 'rtmp',
+                onClose: () => {
+                    // Drop the publisher so the camera reconnects and gets a fresh pipeline
+                    const publisher = rtmpPublishers.get(entry.streamId) === id ? nms.getSession(id) : null;
+                    if (publisher) {
+                        publisher.reject();
+                    }
+                }
+            }, {
+                ip: session.ip,
+                userAgent: 'RTMP publisher',
+                ownerId: entry.owner || null
+            });
+
+            if (!result.success) {
+                console.error(`❌ Failed to start HLS output for RTMP stream ${entry.streamId}: ${result.error}`);
+            }
+        } catch (startError) {
+            console.error(`❌ Error starting RTMP stream ${entry.streamId}:`, startError);
+            abortStream(entry.streamId);
+        }
+    });
+
+    nms.on('donePublish', (id, streamPath) => {
+        const entry = streamKeys.get(streamPath.split('/').pop());
+        if (!entry || rtmpPublishers.get(entry.streamId) !== id) {
+            return;
+        }
+
+        rtmpPublishers.delete(entry.streamId);
+        if (stopStream(entry.streamId)) {
+            console.log(`📴 RTMP publish ended, stream ${entry.streamId} stopped`);
+        }
+    });
+
+    nms.run();
+    return nms;
+};
+
+app.post('/api/auth/keys', requireScope('admin'), (req, res) => {
+    const { name, scopes, maxStreams, maxPriority } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'name and a non-empty scopes array are required'
+        });
+    }
+
+    const invalidScopes = scopes.filter(scope => !apiScopes.includes(scope));
+    if (invalidScopes.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid scopes: ${invalidScopes.join(', ')}. Allowed values: ${apiScopes.join(', ')}`
+        });
+    }
+
+    if (maxStreams !== undefined && !(Number.isInteger(maxStreams) && maxStreams > 0)) {
+        return res.status(400).json({
+            success: false,
+            message: 'maxStreams must be a positive whole number'
+        });
+    }
+
+    if (maxPriority !== undefined && !streamPriorities.includes(maxPriority)) {
+        return res.status(400).json({
+            success: false,
+            message: `maxPriority must be one of: ${streamPriorities.join(', ')}`
+        });
+    }
+
+    const apiKey = crypto.randomBytes(24).toString('hex');
+    const entry = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: String(name),
+        scopes: Array.from(new Set(scopes)),
+        maxStreams: maxStreams || null,
+        maxPriority: maxPriority || null,
+        keyHash: hashApiKey(apiKey),
+        createdAt: new Date().toISOString(),
+        createdBy: req.principal ? req.principal.id : null
+    };
+
+    apiKeys.set(entry.id, entry);
+    saveApiKeys();
+    console.log(`🔐 API key ${entry.id} (${entry.name}) created with scopes ${entry.scopes.join(', ')}`);
+
+    const { keyHash, ...publicEntry } = entry;
+    res.json({
+        success: true,
+        message: 'Store this key now, it cannot be retrieved again',
+        apiKey: apiKey,
+        key: publicEntry
+    });
+});
+
+app.get('/api/auth/keys', requireScope('admin'), (req, res) => {
+    res.json({
+        success: true,
+        authEnabled: isAuthEnabled(),
+        keys: Array.from(apiKeys.values()).map(({ keyHash, ...entry }) => entry)
+    });
+});
+
+app.delete('/api/auth/keys/:keyId', requireScope('admin'), (req, res) => {
+    const keyId = req.params.keyId;
+
+    if (!apiKeys.has(keyId)) {
+        return res.status(404).json({
+            success: false,
+            message: 'API key not found',
+            keyId: keyId
+        });
+    }
+
+    apiKeys.delete(keyId);
+    saveApiKeys();
+    console.log(`🔐 API key ${keyId} revoked`);
+
+    res.json({
+        success: true,
+        message: 'API key revoked',
+        keyId: keyId
+    });
+});
+
+app.post('/api/ingest/keys', requireScope('start'), (req, res) => {
+    try {
+        const { streamId } = req.body;
+
+        if (!streamId) {
+            return res.status(400).json({
+                success: false,
+                message: 'streamId is required'
+            });
+        }
+
+        const { error: optionsError } = parseStreamOptions(req.body);
+        if (optionsError) {
+            return res.status(400).json({
+                success: false,
+                message: optionsError
+            });
+        }
+
+        const safeStreamId = generateSafeStreamId(streamId);
+        const previousKey = findStreamKey(safeStreamId);
+        if (previousKey && !canAccess(req, streamKeys.get(previousKey).owner)) {
+            return sendForbidden(res, { streamId: safeStreamId });
+        }
+        if (previousKey) {
+            streamKeys.delete(previousKey);
+        }
+
+        const streamKey = crypto.randomBytes(16).toString('hex');
+        const entry = { streamId: safeStreamId };
+        for (const field of streamOptionFields) {
+            if (req.body[field] !== undefined) {
+                entry[field] = req.body[field];
+            }
+        }
+        entry.owner = req.principal ? req.principal.id : null;
+        entry.createdAt = new Date().toISOString();
+
+        streamKeys.set(streamKey, entry);
+        saveStreamKeys();
+
+        console.log(`🔑 Stream key ${previousKey ? 'rotated' : 'created'} for stream ${safeStreamId}`);
+
+        res.json({
+            success: true,
+            streamId: safeStreamId,
+            streamKey: streamKey,
+            publishUrl: `rtmp://${new URL(getPublicBaseUrl(req)).hostname}:${config.rtmpPort}/live/${streamKey}`,
+            ...getPlaybackUrl(req, safeStreamId, req.body.renditions ? 'master.m3u8' : 'playlist.m3u8'),
+            rtmpEnabled: config.rtmpEnabled
+        });
+    } catch (error) {
+        console.error('❌ Error creating stream key:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/ingest/keys', requireScope('read'), (req, res) => {
+    const keys = Array.from(streamKeys.entries()).filter(([, entry]) => canAccess(req, entry.owner)).map(([key, entry]) => ({
+        streamKey: maskStreamKey(key),
+        ...entry,
+        publishing: rtmpPublishers.has(entry.streamId)
+    }));
+
+    res.json({
+        success: true,
+        rtmpEnabled: config.rtmpEnabled,
+        rtmpPort: config.rtmpPort,
+        keys: keys
+    });
+});
+
+app.delete('/api/ingest/keys/:streamId', requireScope('stop'), (req, res) => {
+    const safeStreamId = generateSafeStreamId(req.params.streamId);
+    const key = findStreamKey(safeStreamId);
+
+    if (!key) {
+        return res.status(404).json({
+            success: false,
+            message: 'No stream key found for this stream',
+            streamId: safeStreamId
+        });
+    }
+
+    if (!canAccess(req, streamKeys.get(key).owner)) {
+        return sendForbidden(res, { streamId: safeStreamId });
+    }
+
+    streamKeys.delete(key);
+    saveStreamKeys();
+    console.log(`🔑 Stream key revoked for stream ${safeStreamId}`);
+
+    res.json({
+        success: true,
+        message: 'Stream key revoked',
+        streamId: safeStreamId
+    });
+});
+
+const loadSources = () => {
+    try {
+        if (fs.existsSync(config.sourcesFile)) {
+            return new Map(Object.entries(JSON.parse(fs.readFileSync(config.sourcesFile, 'utf8'))));
+        }
+    } catch (error) {
+        console.error(`❌ Could not load registered sources from ${config.sourcesFile}:`, error.message);
+    }
+    return new Map();
+};
+
+// Pre-declared sources that are started by the first playlist request instead of POST /api/stream/start
+const registeredSources = loadSources();
+const pendingOnDemand = new Map();
+
+const saveSources = () => {
+    fs.writeFileSync(config.sourcesFile, JSON.stringify(Object.fromEntries(registeredSources), null, 4));
+};
+
+const startRegisteredSource = async (entry) => {
+    const resolved = await resolveAutoProfile(entry.flvUrl, entry);
+    if (resolved.error) {
+        throw new Error(`Source probe failed: ${resolved.error.message}`);
+    }
+
+    const { options, error } = parseStreamOptions(resolved.body);
+    if (error) {
+        throw new Error(`Invalid source settings: ${error}`);
+    }
+
+    console.log(`▶️ Starting registered source ${entry.streamId} on demand`);
+    const result = await startStream(entry.streamId, entry.flvUrl, {
+        ...options,
+        source: 'on-demand',
+        idleTimeout: (entry.idleTimeout ? entry.idleTimeout * 1000 : null) || config.onDemandIdleTimeout
+    }, {
+        ip: 'on-demand',
+        userAgent: 'On-demand viewer',
+        ownerId: entry.owner || null
+    });
+
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+};
+
+// Holds the playlist request of an idle registered stream until FFmpeg has written its first segment
+const startOnDemand = async (req, res, next) => {
+    const match = req.path.match(/^\/([^/]+)\/[^/]+\.m3u8$/);
+    const entry = match ? registeredSources.get(match[1]) : null;
+    // A stream that is still starting is already active, its viewers wait for the same first segment
+    if (!entry || (activeStreams.has(entry.streamId) && !pendingOnDemand.has(entry.streamId))) {
+        return next();
+    }
+
+    if (shuttingDown) {
+        return res.status(503).send('Server is draining');
+    }
+
+    if (!pendingOnDemand.has(entry.streamId)) {
+        const admission = getAdmission();
+        if (!admission.admitted) {
+            res.setHeader('Retry-After', '30');
+            return res.status(503).send(admission.message);
+        }
+        noteAdmission();
+
+        // Cleanup happens once here, not in every waiting viewer, so a late one cannot abort a retry
+        const pending = startRegisteredSource(entry)
+            .catch((error) => {
+                console.error(`❌ On-demand start failed for ${entry.streamId}: ${error.message}`);
+                abortStream(entry.streamId);
+                throw error;
+            })
+            .finally(() => pendingOnDemand.delete(entry.streamId));
+        pendingOnDemand.set(entry.streamId, pending);
+    }
+
+    try {
+        await pendingOnDemand.get(entry.streamId);
+    } catch (_) {
+        return res.status(502).send('Stream source is unavailable');
+    }
+
+    next();
+};
+
+app.post('/api/sources', requireScope('start'), (req, res) => {
+    try {
+        const { streamId, flvUrl, idleTimeout } = req.body;
+
+        if (!flvUrl || !streamId) {
+            return res.status(400).json({
+                success: false,
+                message: 'flvUrl and streamId are required'
+            });
+        }
+
+        if (!isValidUrl(flvUrl)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid flvUrl format'
+            });
+        }
+
+        if (idleTimeout !== undefined && !(Number.isInteger(idleTimeout) && idleTimeout > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'idleTimeout must be a positive whole number of seconds'
+            });
+        }
+
+        // "auto" is resolved on every start, the source may change codecs while it is idle
+        const { error: optionsError } = parseStreamOptions(req.body.profile === 'auto' ? { ...req.body, profile: undefined } : req.body);
+        if (optionsError) {
+            return res.status(400).json({
+                success: false,
+                message: optionsError
+            });
+        }
+
+        const safeStreamId = generateSafeStreamId(streamId);
+        const previous = registeredSources.get(safeStreamId);
+        if (previous && !canAccess(req, previous.owner)) {
+            return sendForbidden(res, { streamId: safeStreamId });
+        }
+
+        const entry = { streamId: safeStreamId, flvUrl: flvUrl };
+        for (const field of streamOptionFields) {
+            if (req.body[field] !== undefined) {
+                entry[field] = req.body[field];
+            }
+        }
+        entry.idleTimeout = idleTimeout || config.onDemandIdleTimeout / 1000;
+        entry.owner = req.principal ? req.principal.id : null;
+        entry.createdAt = new Date().toISOString();
+
+        registeredSources.set(safeStreamId, entry);
+        saveSources();
+
+        console.log(`📌 Source ${previous ? 'updated' : 'registered'} for stream ${safeStreamId}`);
+
+        res.json({
+            success: true,
+            source: entry,
+            ...getPlaybackUrl(req, safeStreamId, req.body.renditions ? 'master.m3u8' : 'playlist.m3u8')
+        });
+    } catch (error) {
+        console.error('❌ Error registering source:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/sources', requireScope('read'), (req, res) => {
+    const sources = Array.from(registeredSources.values()).filter(entry => canAccess(req, entry.owner)).map(entry => ({
+        ...entry,
+        active: activeStreams.has(entry.streamId),
+        ...getPlaybackUrl(req, entry.streamId, entry.renditions ? 'master.m3u8' : 'playlist.m3u8')
+    }));
+
+    res.json({
+        success: true,
+        sources: sources
+    });
+});
+
+app.delete('/api/sources/:streamId', requireScope('stop'), (req, res) => {
+    const safeStreamId = generateSafeStreamId(req.params.streamId);
+    const entry = registeredSources.get(safeStreamId);
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            message: 'Source not registered',
+            streamId: safeStreamId
+        });
+    }
+
+    if (!canAccess(req, entry.owner)) {
+        return sendForbidden(res, { streamId: safeStreamId });
+    }
+
+    registeredSources.delete(safeStreamId);
+    saveSources();
+
+    // A stream started on demand has nobody else to stop it
+    const stream = activeStreams.get(safeStreamId);
+    if (stream && stream.source === 'on-demand') {
+        stopStream(safeStreamId);
+    }
+
+    console.log(`📌 Source unregistered for stream ${safeStreamId}`);
+
+    res.json({
+        success: true,
+        message: 'Source unregistered',
+        streamId: safeStreamId
+    });
+});
+
+app.post('/api/stream/probe', requireScope('start'), async (req, res) => {
+    try {
+        const { flvUrl } = req.body;
+
+        if (!flvUrl) {
+            return res.status(400).json({
+                success: false,
+                message: 'flvUrl is required'
+            });
+        }
+
+        if (!isValidUrl(flvUrl)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid flvUrl format'
+            });
+        }
+
+        const result = await probeSource(flvUrl);
+        if (!result.success) {
+            return res.status(result.error.code === 'probe_unavailable' ? 503 : result.error.status).json({
+                success: false,
+                message: `Source probe failed: ${result.error.message}`,
+                error: result.error,
+                durationMs: result.durationMs
+            });
+        }
+
+        res.json({
+            success: true,
+            flvUrl: flvUrl,
+            probe: result.probe,
+            durationMs: result.durationMs
+        });
+    } catch (error) {
+        console.error('❌ Error probing source:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Host CPU usage from os.cpus() deltas, loadavg trails a freshly started FFmpeg by a minute
+const cpuSampler = { usage: 0, previous: null, admittedSinceSample: 0 };
+
+const sampleCpu = () => {
+    const totals = { total: 0, idle: 0 };
+    for (const cpu of os.cpus()) {
+        totals.total += Object.values(cpu.times).reduce((sum, time) => sum + time, 0);
+        totals.idle += cpu.times.idle;
+    }
+
+    if (cpuSampler.previous && totals.total > cpuSampler.previous.total) {
+        cpuSampler.usage = 1 - (totals.idle - cpuSampler.previous.idle) / (totals.total - cpuSampler.previous.total);
+    }
+    cpuSampler.previous = totals;
+    cpuSampler.admittedSinceSample = 0;
+};
+
+const roundCpu = (usage) => Math.round(usage * 1000) / 1000;
+
+const noteAdmission = () => {
+    cpuSampler.admittedSinceSample++;
+};
+
+const getAdmission = () => {
+    if (activeStreams.size >= config.maxConcurrentStreams) {
+        return { admitted: false, reason: 'max_streams', message: `Maximum concurrent streams limit reached (${config.maxConcurrentStreams})` };
+    }
+
+    if (config.maxCpuLoad > 0) {
+        // Streams admitted since the last sample are not in the measurement yet, count them at the current average cost
+        const perStream = activeStreams.size > 0 ? cpuSampler.usage / activeStreams.size : 0;
+        const projected = cpuSampler.usage + cpuSampler.admittedSinceSample * perStream;
+        if (projected >= config.maxCpuLoad) {
+            return { admitted: false, reason: 'cpu', message: `Host CPU usage is above ${Math.round(config.maxCpuLoad * 100)}%` };
+        }
+    }
+
+    return { admitted: true };
+};
+
+const canUsePriority = (req, priority) => !req.principal || req.principal.scopes.includes('admin') ||
+    priorityRank(priority) <= priorityRank(req.principal.maxPriority || 'normal');
+
+const quotaIdentity = (ownerId, ip) => ownerId || `ip:${ip}`;
+
+// Active and queued streams both count, admin credentials have no quota
+const getQuota = (req) => {
+    if (req.principal && req.principal.scopes.includes('admin')) {
+        return null;
+    }
+
+    const limit = (req.principal && req.principal.maxStreams) || config.streamQuota;
+    if (!limit) {
+        return null;
+    }
+
+    const id = quotaIdentity(req.principal ? req.principal.id : null, req.ip);
+    const active = Array.from(activeStreams.values()).filter(stream => quotaIdentity(stream.owner, stream.clientIP) === id).length;
+    const queued = startQueue.filter(ticket => ticket.quotaId === id).length;
+    return { limit, used: active + queued, active, queued };
+};
+
+// Only streams nobody has watched for preemptIdleAfter are taken, lowest priority first and then the longest idle
+const findPreemptionVictim = (priority) => {
+    if (priorityRank(priority) < priorityRank(config.preemptPriority)) {
+        return null;
+    }
+
+    const now = Date.now();
+    const candidates = Array.from(activeStreams.entries()).filter(([streamId, stream]) =>
+        stream.source !== 'rtmp' &&
+        priorityRank(stream.priority) < priorityRank(priority) &&
+        now - stream.lastActivity >= config.preemptIdleAfter &&
+        getAudienceStatus(streamId).concurrentViewers === 0
+    );
+
+    candidates.sort(([, a], [, b]) => priorityRank(a.priority) - priorityRank(b.priority) || a.lastActivity - b.lastActivity);
+    return candidates.length > 0 ? candidates[0][0] : null;
+};
+
+const queueStats = { dispatched: 0, expired: 0, preempted: 0, dispatchInterval: null, lastDispatchAt: null };
+
+const preemptStream = (streamId, forStreamId, priority) => {
+    const stream = activeStreams.get(streamId);
+    console.log(`⏏️ Preempting idle ${stream.priority} priority stream ${streamId} for ${priority} priority stream ${forStreamId}`);
+
+    stream.stopReason = 'preempted';
+    emitStreamEvent(streamId, 'stream.preempted', stream, { preemptedBy: forStreamId, priority: priority });
+    stopStream(streamId);
+    queueStats.preempted++;
+};
+
+// Start requests waiting for capacity, finished tickets stay around for a while so clients can poll the outcome
+const startQueue = [];
+const queueTickets = new Map();
+
+const getQueueOrder = () => {
+    const activeByQuota = new Map();
+    for (const stream of activeStreams.values()) {
+        const id = quotaIdentity(stream.owner, stream.clientIP);
+        activeByQuota.set(id, (activeByQuota.get(id) || 0) + 1);
+    }
+
+    // Within one priority the client with the fewest running streams goes first, then arrival order
+    return [...startQueue].sort((a, b) =>
+        priorityRank(b.priority) - priorityRank(a.priority) ||
+        (activeByQuota.get(a.quotaId) || 0) - (activeByQuota.get(b.quotaId) || 0) ||
+        a.enqueuedAt - b.enqueuedAt
+    );
+};
+
+// Slots open up when idle streams hit their timeout, past those the observed dispatch rate is used
+const estimateEta = (position) => {
+    const now = Date.now();
+    const freeSlots = getAdmission().reason === 'cpu' ? 0 : Math.max(0, config.maxConcurrentStreams - activeStreams.size);
+    if (position <= freeSlots) {
+        return 0;
+    }
+
+    const idleExpiries = Array.from(activeStreams.entries())
+        .filter(([streamId]) => getAudienceStatus(streamId).concurrentViewers === 0)
+        .map(([, stream]) => Math.max(0, stream.lastActivity + stream.idleTimeout - now))
+        .sort((a, b) => a - b);
+
+    const index = position - freeSlots - 1;
+    if (index < idleExpiries.length) {
+        return Math.ceil(idleExpiries[index] / 1000);
+    }
+    return queueStats.dispatchInterval ? Math.ceil(position * queueStats.dispatchInterval / 1000) : null;
+};
+
+const describeTicket = (ticket) => {
+    const position = ticket.state === 'queued' ? getQueueOrder().indexOf(ticket) + 1 : null;
+    return {
+        queueId: ticket.queueId,
+        streamId: ticket.streamId,
+        priority: ticket.priority,
+        status: ticket.state,
+        position: position,
+        etaSeconds: position ? estimateEta(position) : null,
+        enqueuedAt: new Date(ticket.enqueuedAt).toISOString(),
+        expiresAt: new Date(ticket.expiresAt).toISOString(),
+        queueUrl: `/api/queue/${ticket.queueId}`,
+        result: ticket.result
+    };
+};
+
+const enqueueStart = (req, safeStreamId, flvUrl, body, options, probe) => {
+    const ticket = {
+        queueId: crypto.randomBytes(8).toString('hex'),
+        streamId: safeStreamId,
+        priority: options.priority,
+        state: 'queued',
+        owner: req.principal ? req.principal.id : null,
+        quotaId: quotaIdentity(req.principal ? req.principal.id : null, req.ip),
+        enqueuedAt: Date.now(),
+        expiresAt: Date.now() + config.queueTimeout,
+        finishedAt: null,
+        result: null,
+        // Only what the launch needs, holding on to the Express request would keep its socket and body alive
+        request: { caller: describeCaller(req), baseUrl: getPublicBaseUrl(req), flvUrl, body, options, probe }
+    };
+
+    startQueue.push(ticket);
+    queueTickets.set(ticket.queueId, ticket);
+    console.log(`🕒 Start of ${safeStreamId} queued with ${ticket.priority} priority (${startQueue.length} waiting)`);
+    return ticket;
+};
+
+const finishTicket = (ticket, state, result) => {
+    const index = startQueue.indexOf(ticket);
+    if (index !== -1) {
+        startQueue.splice(index, 1);
+    }
+    ticket.state = state;
+    ticket.result = result;
+    ticket.finishedAt = Date.now();
+    // The original request is only needed to launch the stream
+    ticket.request = null;
+};
+
+const dispatchTicket = async (ticket) => {
+    const { caller, baseUrl, flvUrl, body, options, probe } = ticket.request;
+    startQueue.splice(startQueue.indexOf(ticket), 1);
+    ticket.state = 'starting';
+
+    const now = Date.now();
+    if (queueStats.lastDispatchAt) {
+        const interval = now - queueStats.lastDispatchAt;
+        queueStats.dispatchInterval = queueStats.dispatchInterval ? Math.round(queueStats.dispatchInterval * 0.7 + interval * 0.3) : interval;
+    }
+    queueStats.lastDispatchAt = now;
+    queueStats.dispatched++;
+
+    console.log(`▶️ Dispatching queued start of ${ticket.streamId} after ${Math.round((now - ticket.enqueuedAt) / 1000)}s`);
+    noteAdmission();
+
+    try {
+        const { body: result } = await launchStreamRequest(createForwardedRequest(caller), ticket.streamId, flvUrl, body, options, probe, baseUrl);
+        finishTicket(ticket, result.success ? 'started' : 'failed', result);
+    } catch (error) {
+        console.error(`❌ Queued start of ${ticket.streamId} failed:`, error);
+        abortStream(ticket.streamId);
+        finishTicket(ticket, 'failed', { success: false, message: 'Internal server error', error: error.message });
+    }
+};
+
+const processQueue = () => {
+    const now = Date.now();
+
+    for (const ticket of [...startQueue]) {
+        if (shuttingDown) {
+            finishTicket(ticket, 'cancelled', { success: false, message: 'Server is draining and does not accept new streams' });
+        } else if (now >= ticket.expiresAt) {
+            console.warn(`⌛ Queued start of ${ticket.streamId} expired after ${config.queueTimeout / 1000}s`);
+            queueStats.expired++;
+            finishTicket(ticket, 'expired', { success: false, message: 'No capacity became available before the queue timeout' });
+        }
+    }
+
+    let next;
+    while ((next = getQueueOrder()[0])) {
+        if (activeStreams.has(next.streamId)) {
+            finishTicket(next, 'started', { success: true, message: 'Stream already active', streamId: next.streamId });
+            continue;
+        }
+
+        if (!getAdmission().admitted) {
+            const victim = findPreemptionVictim(next.priority);
+            if (!victim) {
+                break;
+            }
+            preemptStream(victim, next.streamId, next.priority);
+        }
+
+        dispatchTicket(next);
+    }
+
+    for (const [queueId, ticket] of queueTickets.entries()) {
+        if (ticket.finishedAt && now - ticket.finishedAt > 10 * 60 * 1000) {
+            queueTickets.delete(queueId);
+        }
+    }
+};
+
+const launchStreamRequest = async (req, safeStreamId, flvUrl, body, options, probe, baseUrl = getPublicBaseUrl(req)) => {
+    const client = {
+        ip: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('User-Agent') || 'Unknown',
+        ownerId: req.principal ? req.principal.id : null
+    };
+
+    const result = await startStream(safeStreamId, flvUrl, options, client);
+
+    if (!result.success) {
+        return { status: 500, body: {
+            success: false,
+            message: 'Failed to start FFmpeg process',
+            error: result.error,
+            details: result.details
+        } };
+    }
+
+    const { streamData } = result;
+
+    const definition = {
+        streamId: safeStreamId,
+        flvUrl: flvUrl,
+        options: {},
+        owner: client.ownerId,
+        clientIp: client.ip,
+        userAgent: client.userAgent,
+        createdAt: new Date().toISOString()
+    };
+    if (streamData.encryption) {
+        // Segments left from before a restart can only be played with the keys they were encrypted with
+        definition.keySetId = streamData.encryption.keySetId;
+    }
+    for (const field of streamOptionFields) {
+        if (body[field] !== undefined) {
+            definition.options[field] = body[field];
+        }
+    }
+    streamStore.save(definition);
+
+    return { status: 200, body: {
+        success: true,
+        message: 'Stream conversion started successfully',
+        ...getPlaybackUrl(req, safeStreamId, streamData.playlistName, baseUrl),
+        streamId: safeStreamId,
+        startTime: streamData.startTime,
+        renditions: options.renditions,
+        transcoding: options.transcoding,
+        probe: probe,
+        lowLatency: options.lowLatency,
+        dvrWindow: options.dvr ? options.dvr.window : null,
+        recordingId: streamData.recording ? streamData.recording.id : null,
+        config: {
+            segmentDuration: config.segmentDuration,
+            maxSegments: config.maxSegments,
+            timeout: config.streamTimeout
+        },
+        status: 'starting'
+    } };
+};
+
+// Shared by the single stream routes, batches and camera groups, resolves to an HTTP status and JSON body
+const startStreamRequest = async (req, params) => {
+    let safeStreamId = null;
+    
+    try {
+        const { flvUrl, streamId } = params;
+
+        if (shuttingDown) {
+            return { status: 503, body: {
+                success: false,
+                message: 'Server is draining and does not accept new streams'
+            } };
+        }
+
+        if (!flvUrl || !streamId) {
+            return { status: 400, body: {
+                success: false,
+                message: 'flvUrl and streamId are required'
+            } };
+        }
+
+        if (!isValidUrl(flvUrl)) {
+            return { status: 400, body: {
+                success: false,
+                message: 'Invalid flvUrl format'
+            } };
+        }
+
+        safeStreamId = generateSafeStreamId(streamId);
+
+        if (activeStreams.has(safeStreamId)) {
+            const stream = activeStreams.get(safeStreamId);
+
+            if (!canAccess(req, stream.owner)) {
+                return { status: 403, body: forbiddenBody({ streamId: safeStreamId }) };
+            }
+            
+            if (!stream.process.killed) {
+                return { status: 200, body: {
+                    success: true,
+                    message: 'Stream already active',
+                    ...getPlaybackUrl(req, safeStreamId, stream.playlistName),
+                    streamId: safeStreamId,
+                    startTime: stream.startTime,
+                    uptime: Date.now() - stream.startTime,
+                    status: 'active'
+                } };
+            } else {
+                activeStreams.delete(safeStreamId);
+                streamMetrics.delete(safeStreamId);
+            }
+        }
+
+        const waiting = startQueue.find(ticket => ticket.streamId === safeStreamId);
+        if (waiting) {
+            if (!canAccess(req, waiting.owner)) {
+                return { status: 403, body: forbiddenBody({ streamId: safeStreamId }) };
+            }
+            return { status: 202, body: {
+                success: true,
+                message: 'Stream start is already queued',
+                ...describeTicket(waiting)
+            } };
+        }
+
+        const quota = getQuota(req);
+        if (quota && quota.used >= quota.limit) {
+            return { status: 429, body: {
+                success: false,
+                message: `Stream quota reached (${quota.limit} streams)`,
+                streamId: safeStreamId,
+                quota: quota
+            } };
+        }
+
+        // Probing takes seconds, so it only runs for requests that are otherwise allowed to start
+        const resolved = await resolveAutoProfile(flvUrl, params);
+        if (resolved.error) {
+            return { status: resolved.error.status, body: {
+                success: false,
+                message: `Source probe failed: ${resolved.error.message}`,
+                error: resolved.error
+            } };
+        }
+        const { body, probe } = resolved;
+
+        // Another request may have started or queued the stream while the probe ran, the checks above answer it
+        if (probe && (activeStreams.has(safeStreamId) || startQueue.some(ticket => ticket.streamId === safeStreamId))) {
+            return startStreamRequest(req, params);
+        }
+
+        const { options, error: optionsError } = parseStreamOptions(body);
+        if (optionsError) {
+            return { status: 400, body: {
+                success: false,
+                message: optionsError
+            } };
+        }
+
+        if (!canUsePriority(req, options.priority)) {
+            return { status: 403, body: {
+                success: false,
+                message: `This credential cannot start streams with priority "${options.priority}"`,
+                streamId: safeStreamId
+            } };
+        }
+
+        // Requests never overtake queued ones of the same or a higher priority
+        const queuedAhead = startQueue.some(ticket => priorityRank(ticket.priority) >= priorityRank(options.priority));
+        const admission = getAdmission();
+        if (queuedAhead || !admission.admitted) {
+            const reason = queuedAhead ? 'Requests with the same or a higher priority are already queued' : admission.message;
+            const victim = queuedAhead ? null : findPreemptionVictim(options.priority);
+            if (victim) {
+                preemptStream(victim, safeStreamId, options.priority);
+            } else if (params.queue === false || startQueue.length >= config.queueMaxSize) {
+                return { status: 429, body: {
+                    success: false,
+                    message: params.queue === false ? reason : `Start queue is full (${config.queueMaxSize} requests)`,
+                    streamId: safeStreamId,
+                    activeStreams: activeStreams.size,
+                    maxStreams: config.maxConcurrentStreams,
+                    cpuUsage: roundCpu(cpuSampler.usage),
+                    queueLength: startQueue.length
+                } };
+            } else {
+                const ticket = enqueueStart(req, safeStreamId, flvUrl, body, options, probe);
+                return { status: 202, body: {
+                    success: true,
+                    message: 'Stream start queued until capacity is available',
+                    reason: reason,
+                    ...describeTicket(ticket)
+                } };
+            }
+        }
+
+        noteAdmission();
+        return await launchStreamRequest(req, safeStreamId, flvUrl, body, options, probe);
+
+    } catch (error) {
+        console.error('❌ Error starting stream:', error);
+        
+        if (safeStreamId) {
+            abortStream(safeStreamId);
+        }
+        
+        return { status: 500, body: {
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        } };
+    }
+};
+
+// Start and stop may wait on the cluster state store, which can fail independently of this node
+const sendRoutingError = (res, error) => {
+    console.error('❌ Error routing stream request:', error);
+    res.status(503).json({
+        success: false,
+        message: 'Stream routing is unavailable',
+        error: error.message
+    });
+};
+
+app.post('/api/stream/start', requireScope('start'), async (req, res) => {
+    try {
+        const result = await routeStartRequest(req, req.body);
+        res.status(result.status).json(result.body);
+    } catch (error) {
+        sendRoutingError(res, error);
+    }
+});
+
+const stopStreamRequest = (req, streamId) => {
+    try {
+        if (!streamId) {
+            return { status: 400, body: {
+                success: false,
+                message: 'streamId is required'
+            } };
+        }
+
+        const safeStreamId = generateSafeStreamId(streamId);
+        const stream = activeStreams.get(safeStreamId);
+        if (stream && !canAccess(req, stream.owner)) {
+            return { status: 403, body: forbiddenBody({ streamId: safeStreamId }) };
+        }
+
+        const stopped = stopStream(safeStreamId);
+        
+        if (!stopped) {
+            return { status: 200, body: {
+                success: true,
+                message: 'Stream not found or already stopped',
+                streamId: safeStreamId
+            } };
+        }
+
+        console.log(`🛑 Stream ${safeStreamId} stopped manually`);
+
+        return { status: 200, body: {
+            success: true,
+            message: 'Stream stopped successfully',
+            streamId: safeStreamId,
+            stoppedAt: new Date().toISOString(),
+            metrics: stopped.metrics,
+            recording: stopped.recording
+        } };
+
+    } catch (error) {
+        console.error('❌ Error stopping stream:', error);
+        return { status: 500, body: {
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        } };
+    }
+};
+
+app.post('/api/stream/stop', requireScope('stop'), async (req, res) => {
+    try {
+        const result = await routeStopRequest(req, req.body.streamId);
+        res.status(result.status).json(result.body);
+    } catch (error) {
+        sendRoutingError(res, error);
+    }
+});
+
+const clusterRoles = ['standalone', 'worker', 'coordinator'];
+const clusterRequestTimeout = 60000;
+
+let clusterRole = clusterRoles.includes(config.clusterRole) ? config.clusterRole : 'standalone';
+if (!clusterRoles.includes(config.clusterRole)) {
+    console.warn(`⚠️ Unknown CLUSTER_ROLE "${config.clusterRole}", running standalone`);
+}
+if (clusterRole !== 'standalone' && !config.clusterSecret) {
+    console.error('❌ CLUSTER_SECRET is required for cluster mode, running standalone');
+    clusterRole = 'standalone';
+}
+if (clusterRole === 'worker' && !config.coordinatorUrl) {
+    console.error('❌ COORDINATOR_URL is required for worker nodes, running standalone');
+    clusterRole = 'standalone';
+}
+
+const clusterState = {
+    startedAt: Date.now(),
+    coordinatorReachable: null,
+    lastHeartbeatAt: null,
+    timer: null
+};
+
+const hasValidClusterSecret = (req) => {
+    const provided = Buffer.from(String(req.get('X-Cluster-Secret') || ''));
+    const expected = Buffer.from(config.clusterSecret || '');
+    return clusterRole !== 'standalone' && provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+// Node to node calls carry the shared secret instead of an API key, the caller's identity travels in the body
+const requireClusterSecret = (req, res, next) => {
+    if (!hasValidClusterSecret(req)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Invalid cluster secret'
+        });
+    }
+    next();
+};
+
+const callNode = async (baseUrl, route, payload, timeout = clusterRequestTimeout) => {
+    const { statusCode, text } = await postJson(`${baseUrl}${route}`, JSON.stringify(payload), { 'X-Cluster-Secret': config.clusterSecret }, timeout);
+    return { status: statusCode, body: JSON.parse(text) };
+};
+
+const describeCaller = (req) => ({
+    principal: req.principal || null,
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || 'Unknown'
+});
+
+// Just enough of an Express request for startStreamRequest and stopStreamRequest to run on behalf of a forwarded caller
+const createForwardedRequest = ({ principal, ip, userAgent }) => ({
+    principal: principal,
+    ip: ip,
+    connection: { remoteAddress: ip },
+    get: (name) => name.toLowerCase() === 'user-agent' ? userAgent : undefined
+});
+
+const getNodeReport = () => ({
+    nodeId: config.nodeId,
+    url: config.nodeUrl,
+    role: clusterRole,
+    activeStreams: activeStreams.size,
+    maxStreams: config.maxConcurrentStreams,
+    cpuUsage: roundCpu(cpuSampler.usage),
+    queueLength: startQueue.length,
+    hasCapacity: getAdmission().admitted,
+    draining: shuttingDown,
+    streams: Array.from(activeStreams.entries()).map(([streamId, stream]) => ({
+        streamId: streamId,
+        source: stream.source,
+        owner: stream.owner,
+        playlistName: stream.playlistName
+    })),
+    queued: startQueue.map(ticket => ticket.streamId)
+});
+
+const isNodeAlive = (node) => !!node && Date.now() - node.lastHeartbeat < config.nodeTimeout;
+
+const nodeLoad = (node) => Math.max(node.activeStreams / node.maxStreams, node.cpuUsage || 0);
+
+// Start, stop and reassignment of one streamId run one after another on the coordinator, so a stream is never placed twice
+const pendingPlacements = new Map();
+
+const serializeByStream = (streamId, task) => {
+    const previous = pendingPlacements.get(streamId) || Promise.resolve();
+    const current = previous.then(task, task);
+    pendingPlacements.set(streamId, current);
+    const release = () => {
+        if (pendingPlacements.get(streamId) === current) {
+            pendingPlacements.delete(streamId);
+        }
+    };
+    current.then(release, release);
+    return current;
+};
+
+let nodeSelection = Promise.resolve();
+
+// Heartbeats are seconds old, so the chosen node is charged for the new stream right away and a burst spreads out
+const reserveNode = () => {
+    const selection = nodeSelection.then(async () => {
+        const nodes = Object.values(await clusterStore.getAll('nodes')).filter(node => isNodeAlive(node) && !node.draining);
+        // A full node still accepts the stream into its own start queue when no node has room
+        nodes.sort((a, b) => Number(b.hasCapacity) - Number(a.hasCapacity) || nodeLoad(a) - nodeLoad(b) || a.queueLength - b.queueLength);
+
+        const node = nodes[0];
+        if (node) {
+            node.activeStreams++;
+            node.hasCapacity = node.hasCapacity && node.activeStreams < node.maxStreams;
+            await clusterStore.set('nodes', node.nodeId, node);
+        }
+        return node || null;
+    });
+    nodeSelection = selection.catch(() => {});
+    return selection;
+};
+
+const placeStream = async (req, params) => {
+    const safeStreamId = generateSafeStreamId(params.streamId);
+
+    const existing = await clusterStore.get('placements', safeStreamId);
+    const existingNode = existing ? await clusterStore.get('nodes', existing.nodeId) : null;
+    if (existing && isNodeAlive(existingNode)) {
+        if (!canAccess(req, existing.owner)) {
+            return { status: 403, body: forbiddenBody({ streamId: safeStreamId }) };
+        }
+        return { status: 200, body: {
+            success: true,
+            message: existing.state === 'queued' ? 'Stream start is already queued' : 'Stream already active',
+            ...getPlaybackUrl(req, safeStreamId, existing.playlistName, existingNode.url),
+            streamId: safeStreamId,
+            node: existing.nodeId,
+            status: existing.state === 'queued' ? 'queued' : 'active'
+        } };
+    }
+
+    const node = await reserveNode();
+    if (!node) {
+        return { status: 503, body: {
+            success: false,
+            message: 'No cluster node is available to run the stream',
+            streamId: safeStreamId
+        } };
+    }
+
+    let result;
+    try {
+        result = node.nodeId === config.nodeId
+            ? await startStreamRequest(req, params)
+            : await callNode(node.url, '/api/cluster/streams/start', { caller: describeCaller(req), params });
+    } catch (error) {
+        console.error(`❌ Node ${node.nodeId} did not accept stream ${safeStreamId}: ${error.message}`);
+        return { status: 502, body: {
+            success: false,
+            message: `Cluster node ${node.nodeId} did not respond`,
+            error: error.message,
+            streamId: safeStreamId
+        } };
+    }
+
+    if (result.body.success) {
+        // The original request is kept so the stream can be started again elsewhere if the node disappears
+        const storedParams = { streamId: safeStreamId, flvUrl: params.flvUrl };
+        for (const field of streamOptionFields) {
+            if (params[field] !== undefined) {
+                storedParams[field] = params[field];
+            }
+        }
+
+        try {
+            await clusterStore.set('placements', safeStreamId, {
+                streamId: safeStreamId,
+                nodeId: node.nodeId,
+                state: result.status === 202 ? 'queued' : 'running',
+                playlistName: params.renditions ? 'master.m3u8' : 'playlist.m3u8',
+                owner: req.principal ? req.principal.id : null,
+                params: storedParams,
+                placedAt: Date.now()
+            });
+        } catch (error) {
+            // A stream the coordinator does not know about would be started a second time on the next request
+            if (node.nodeId === config.nodeId) {
+                stopStreamRequest(req, safeStreamId);
+            } else {
+                await callNode(node.url, '/api/cluster/streams/stop', { caller: describeCaller(req), streamId: safeStreamId }).catch(() => {});
+            }
+            throw error;
+        }
+        console.log(`📍 Stream ${safeStreamId} placed on node ${node.nodeId}`);
+    }
+
+    return { status: result.status, body: { ...result.body, node: node.nodeId } };
+};
+
+const unplaceStream = async (req, streamId) => {
+    const safeStreamId = generateSafeStreamId(streamId);
+    const placement = await clusterStore.get('placements', safeStreamId);
+
+    let result;
+    if (!placement || placement.nodeId === config.nodeId) {
+        result = stopStreamRequest(req, streamId);
+    } else if (!canAccess(req, placement.owner)) {
+        return { status: 403, body: forbiddenBody({ streamId: safeStreamId }) };
+    } else {
+        const node = await clusterStore.get('nodes', placement.nodeId);
+        if (!isNodeAlive(node)) {
+            result = { status: 200, body: {
+                success: true,
+                message: 'Stream was on a node that is no longer reachable',
+                streamId: safeStreamId
+            } };
+        } else {
+            try {
+                result = await callNode(node.url, '/api/cluster/streams/stop', { caller: describeCaller(req), streamId: safeStreamId });
+            } catch (error) {
+                return { status: 502, body: {
+                    success: false,
+                    message: `Cluster node ${node.nodeId} did not respond`,
+                    error: error.message,
+                    streamId: safeStreamId
+                } };
+            }
+        }
+    }
+
+    if (result.body.success && placement) {
+        await clusterStore.remove('placements', safeStreamId);
+    }
+    return { status: result.status, body: { ...result.body, node: placement ? placement.nodeId : config.nodeId } };
+};
+
+// Workers hand every start and stop to the coordinator, which is the only place that knows where a stream runs
+const forwardToCoordinator = async (req, action, payload) => {
+    try {
+        return await callNode(config.coordinatorUrl, '/api/cluster/route', { action, caller: describeCaller(req), ...payload });
+    } catch (error) {
+        return { status: 503, body: {
+            success: false,
+            message: 'Cluster coordinator is unavailable',
+            error: error.message
+        } };
+    }
+};
+
+const clusterStoreUnavailable = (error, streamId) => {
+    console.error(`❌ Cluster state store failed while routing stream ${streamId}: ${error.message}`);
+    return { status: 503, body: {
+        success: false,
+        message: 'Cluster state store is unavailable',
+        error: error.message,
+        streamId: streamId
+    } };
+};
+
+const routeStartRequest = (req, params) => {
+    if (clusterRole === 'standalone' || !params.streamId) {
+        return startStreamRequest(req, params);
+    }
+    if (clusterRole === 'worker') {
+        return forwardToCoordinator(req, 'start', { params });
+    }
+    const safeStreamId = generateSafeStreamId(params.streamId);
+    return serializeByStream(safeStreamId, () => placeStream(req, params)).catch(error => clusterStoreUnavailable(error, safeStreamId));
+};
+
+const routeStopRequest = async (req, streamId) => {
+    if (clusterRole === 'standalone' || !streamId) {
+        return stopStreamRequest(req, streamId);
+    }
+    if (clusterRole === 'worker') {
+        return forwardToCoordinator(req, 'stop', { streamId });
+    }
+    const safeStreamId = generateSafeStreamId(streamId);
+    return serializeByStream(safeStreamId, () => unplaceStream(req, streamId)).catch(error => clusterStoreUnavailable(error, safeStreamId));
+};
+
+// Returns the streams the node has to stop because the coordinator placed them elsewhere in the meantime
+const recordHeartbeat = async (report) => {
+    const now = Date.now();
+    const { streams = [], queued = [], ...node } = report;
+    await clusterStore.set('nodes', node.nodeId, { ...node, state: 'up', lastHeartbeat: now });
+
+    const placements = await clusterStore.getAll('placements');
+    const reported = new Set([...streams.map(stream => stream.streamId), ...queued]);
+    const stop = [];
+
+    for (const stream of streams) {
+        if (pendingPlacements.has(stream.streamId)) {
+            continue;
+        }
+
+        const placement = placements[stream.streamId];
+        if (placement && placement.nodeId !== node.nodeId && isNodeAlive(await clusterStore.get('nodes', placement.nodeId))) {
+            stop.push(stream.streamId);
+            continue;
+        }
+
+        // Streams the node started itself (RTMP, on-demand, restored after a restart) are recorded but cannot be moved
+        if (!placement || placement.nodeId !== node.nodeId || placement.state !== 'running') {
+            await clusterStore.set('placements', stream.streamId, {
+                params: null,
+                owner: stream.owner,
+                ...placement,
+                streamId: stream.streamId,
+                nodeId: node.nodeId,
+                state: 'running',
+                playlistName: stream.playlistName,
+                placedAt: placement && placement.nodeId === node.nodeId ? placement.placedAt : now
+            });
+        }
+    }
+
+    // Streams that ended on the node (idle timeout, failures) give their placement up, fresh ones get a grace period
+    for (const placement of Object.values(placements)) {
+        if (placement.nodeId === node.nodeId && !reported.has(placement.streamId) &&
+            now - placement.placedAt > config.heartbeatInterval * 2 && !pendingPlacements.has(placement.streamId)) {
+            await clusterStore.remove('placements', placement.streamId);
+        }
+    }
+
+    return { stop };
+};
+
+const reassignStream = async (placement) => {
+    const current = await clusterStore.get('placements', placement.streamId);
+    if (!current || current.nodeId !== placement.nodeId) {
+        return;
+    }
+
+    // The stream keeps its owner, quotas and priority limits were checked when it was first started
+    const caller = {
+        principal: placement.owner ? { id: placement.owner, name: 'cluster reassignment', scopes: ['admin'] } : null,
+        ip: 'cluster',
+        userAgent: 'Cluster reassignment'
+    };
+    const result = await placeStream(createForwardedRequest(caller), placement.params);
+
+    if (result.body.success) {
+        console.log(`🔀 Stream ${placement.streamId} moved from lost node ${placement.nodeId} to ${result.body.node}`);
+    } else if (result.status >= 400 && result.status < 500) {
+        console.error(`❌ Stream ${placement.streamId} from lost node ${placement.nodeId} cannot be restarted: ${result.body.message}`);
+        await clusterStore.remove('placements', placement.streamId);
+    } else {
+        console.warn(`⚠️ Stream ${placement.streamId} from lost node ${placement.nodeId} is waiting for capacity: ${result.body.message}`);
+    }
+};
+
+const reassignLostStreams = async () => {
+    const now = Date.now();
+    // After a coordinator restart the stored heartbeats are stale until every node has reported again
+    if (now - clusterState.startedAt < config.nodeTimeout) {
+        return;
+    }
+
+    const nodes = await clusterStore.getAll('nodes');
+    for (const node of Object.values(nodes)) {
+        if (!isNodeAlive(node) && node.state !== 'lost') {
+            console.warn(`💔 Node ${node.nodeId} missed its heartbeats for ${config.nodeTimeout / 1000}s, reassigning its streams`);
+            await clusterStore.set('nodes', node.nodeId, { ...node, state: 'lost', lostAt: now });
+        } else if (node.state === 'lost' && now - node.lostAt > 10 * 60 * 1000) {
+            await clusterStore.remove('nodes', node.nodeId);
+        }
+    }
+
+    for (const placement of Object.values(await clusterStore.getAll('placements'))) {
+        if (isNodeAlive(nodes[placement.nodeId]) || pendingPlacements.has(placement.streamId)) {
+            continue;
+        }
+
+        if (!placement.params) {
+            console.warn(`⚠️ Stream ${placement.streamId} was bound to lost node ${placement.nodeId} and cannot be moved`);
+            await clusterStore.remove('placements', placement.streamId);
+            continue;
+        }
+
+        serializeByStream(placement.streamId, () => reassignStream(placement));
+    }
+};
+
+const sendHeartbeat = async () => {
+    const report = getNodeReport();
+    clusterState.lastHeartbeatAt = new Date().toISOString();
+
+    if (clusterRole === 'coordinator') {
+        await recordHeartbeat(report);
+        await reassignLostStreams();
+        return;
+    }
+
+    try {
+        const { body } = await callNode(config.coordinatorUrl, '/api/cluster/heartbeat', report, config.heartbeatInterval);
+        if (clusterState.coordinatorReachable === false) {
+            console.log(`✅ Cluster coordinator ${config.coordinatorUrl} is reachable again`);
+        }
+        clusterState.coordinatorReachable = true;
+
+        for (const streamId of body.stop || []) {
+            const stream = activeStreams.get(streamId);
+            if (stream) {
+                console.warn(`⚠️ Stream ${streamId} was moved to another node, stopping the local copy`);
+                stream.stopReason = 'moved';
+                stopStream(streamId);
+            }
+        }
+    } catch (error) {
+        if (clusterState.coordinatorReachable !== false) {
+            console.error(`❌ Cluster coordinator ${config.coordinatorUrl} is unreachable: ${error.message}`);
+        }
+        clusterState.coordinatorReachable = false;
+    }
+};
+
+app.post('/api/cluster/heartbeat', requireClusterSecret, async (req, res) => {
+    if (clusterRole !== 'coordinator') {
+        return res.status(409).json({
+            success: false,
+            message: 'This node is not the cluster coordinator'
+        });
+    }
+
+    try {
+        const { stop } = await recordHeartbeat(req.body);
+        res.json({ success: true, stop });
+    } catch (error) {
+        console.error('❌ Error recording heartbeat:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+app.post('/api/cluster/route', requireClusterSecret, async (req, res) => {
+    if (clusterRole !== 'coordinator') {
+        return res.status(409).json({
+            success: false,
+            message: 'This node is not the cluster coordinator'
+        });
+    }
+
+    const { action, caller, params, streamId } = req.body;
+    const forwarded = createForwardedRequest(caller);
+    try {
+        const result = action === 'stop' ? await routeStopRequest(forwarded, streamId) : await routeStartRequest(forwarded, params || {});
+        res.status(result.status).json(result.body);
+    } catch (error) {
+        sendRoutingError(res, error);
+    }
+});
+
+app.post('/api/cluster/streams/start', requireClusterSecret, async (req, res) => {
+    const result = await startStreamRequest(createForwardedRequest(req.body.caller), req.body.params || {});
+    res.status(result.status).json(result.body);
+});
+
+app.post('/api/cluster/streams/stop', requireClusterSecret, (req, res) => {
+    const result = stopStreamRequest(createForwardedRequest(req.body.caller), req.body.streamId);
+    res.status(result.status).json(result.body);
+});
+
+app.get('/api/cluster', requireScope('read'), async (req, res) => {
+    const node = { role: clusterRole, nodeId: config.nodeId, nodeUrl: config.nodeUrl };
+
+    if (clusterRole !== 'coordinator') {
+        return res.json({
+            success: true,
+            ...node,
+            coordinatorUrl: clusterRole === 'worker' ? config.coordinatorUrl : null,
+            coordinatorReachable: clusterState.coordinatorReachable,
+            lastHeartbeatAt: clusterState.lastHeartbeatAt
+        });
+    }
+
+    try {
+        const nodes = Object.values(await clusterStore.getAll('nodes')).map(entry => ({
+            ...entry,
+            state: isNodeAlive(entry) ? (entry.draining ? 'draining' : 'up') : 'lost',
+            load: Math.round(nodeLoad(entry) * 100) / 100,
+            lastHeartbeat: new Date(entry.lastHeartbeat).toISOString()
+        }));
+        const placements = Object.values(await clusterStore.getAll('placements'))
+            .filter(placement => canAccess(req, placement.owner))
+            .map(({ params, ...placement }) => ({ ...placement, movable: !!params, placedAt: new Date(placement.placedAt).toISOString() }));
+
+        res.json({
+            success: true,
+            ...node,
+            store: clusterStore.type,
+            nodes: nodes,
+            placements: placements
+        });
+    } catch (error) {
+        console.error('❌ Error reading cluster state:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/queue', requireScope('read'), (req, res) => {
+    const tickets = getQueueOrder().filter(ticket => canAccess(req, ticket.owner)).map(describeTicket);
+
+    res.json({
+        success: true,
+        queueLength: startQueue.length,
+        maxQueueSize: config.queueMaxSize,
+        activeStreams: activeStreams.size,
+        maxStreams: config.maxConcurrentStreams,
+        cpuUsage: roundCpu(cpuSampler.usage),
+        maxCpuLoad: config.maxCpuLoad || null,
+        quota: getQuota(req),
+        stats: {
+            dispatched: queueStats.dispatched,
+            expired: queueStats.expired,
+            preempted: queueStats.preempted
+        },
+        tickets: tickets
+    });
+});
+
+app.get('/api/queue/:queueId', requireScope('read'), (req, res) => {
+    const ticket = queueTickets.get(req.params.queueId);
+    if (!ticket) {
+        return res.status(404).json({
+            success: false,
+            message: 'Queue ticket not found',
+            queueId: req.params.queueId
+        });
+    }
+
+    if (!canAccess(req, ticket.owner)) {
+        return sendForbidden(res, { queueId: ticket.queueId });
+    }
+
+    res.json({
+        success: true,
+        ...describeTicket(ticket)
+    });
+});
+
+app.delete('/api/queue/:queueId', requireScope('start'), (req, res) => {
+    const ticket = queueTickets.get(req.params.queueId);
+    if (!ticket) {
+        return res.status(404).json({
+            success: false,
+            message: 'Queue ticket not found',
+            queueId: req.params.queueId
+        });
+    }
+
+    if (!canAccess(req, ticket.owner)) {
+        return sendForbidden(res, { queueId: ticket.queueId });
+    }
+
+    if (ticket.state !== 'queued') {
+        return res.status(409).json({
+            success: false,
+            message: `Queue ticket is already ${ticket.state}`,
+            ...describeTicket(ticket)
+        });
+    }
+
+    finishTicket(ticket, 'cancelled', { success: false, message: 'Cancelled by the client' });
+    console.log(`🚫 Queued start of ${ticket.streamId} cancelled`);
+
+    res.json({
+        success: true,
+        message: 'Queued start cancelled',
+        ...describeTicket(ticket)
+    });
+});
+
+const batchActions = ['start', 'stop'];
+
+const runConcurrently = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index]);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+};
+
+// Each item gets the same result the single stream route would have returned, one failure does not stop the rest
+const runBatch = async (req, action, items) => {
+    const results = await runConcurrently(items, config.batchConcurrency, async (item) => {
+        const { status, body } = action === 'start'
+            ? await routeStartRequest(req, item)
+            : await routeStopRequest(req, item.streamId);
+        return {
+            ...body,
+            streamId: body.streamId || (item.streamId ? generateSafeStreamId(item.streamId) : null),
+            httpStatus: status
+        };
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+    return {
+        success: succeeded === results.length,
+        action: action,
+        summary: { total: results.length, succeeded, failed: results.length - succeeded },
+        results: results
+    };
+};
+
+const validateBatchStreams = (action, streams) => {
+    if (!Array.isArray(streams) || streams.length === 0) {
+        return { error: 'streams must be a non-empty array' };
+    }
+    if (streams.length > config.batchMaxStreams) {
+        return { error: `A batch can contain at most ${config.batchMaxStreams} streams` };
+    }
+
+    const items = streams.map(stream => typeof stream === 'string' ? { streamId: stream } : stream);
+    if (items.some(item => !item || typeof item !== 'object' || !item.streamId)) {
+        return { error: 'Every stream needs a streamId' };
+    }
+    if (action === 'start' && items.some(item => !item.flvUrl)) {
+        return { error: 'Every stream needs a flvUrl to be started' };
+    }
+
+    const ids = items.map(item => generateSafeStreamId(item.streamId));
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+        return { error: `Stream ${duplicate} appears more than once` };
+    }
+
+    return { items };
+};
+
+app.post('/api/streams/batch', (req, res, next) => requireScope(req.body.action === 'stop' ? 'stop' : 'start')(req, res, next), async (req, res) => {
+    try {
+        const { action, streams, defaults } = req.body;
+
+        if (!batchActions.includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: `action must be one of: ${batchActions.join(', ')}`
+            });
+        }
+
+        if (defaults !== undefined && (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults))) {
+            return res.status(400).json({
+                success: false,
+                message: 'defaults must be an object'
+            });
+        }
+
+        const { items, error } = validateBatchStreams(action, streams);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        console.log(`📦 Batch ${action} for ${items.length} streams`);
+        res.json(await runBatch(req, action, items.map(item => ({ ...defaults, ...item }))));
+    } catch (error) {
+        console.error('❌ Error running batch:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+const loadGroups = () => {
+    try {
+        if (fs.existsSync(config.groupsFile)) {
+            return new Map(Object.entries(JSON.parse(fs.readFileSync(config.groupsFile, 'utf8'))));
+        }
+    } catch (error) {
+        console.error(`❌ Could not load camera groups from ${config.groupsFile}:`, error.message);
+    }
+    return new Map();
+};
+
+// Named sets of streams, for example every camera of one vehicle, that are started and stopped together
+const cameraGroups = loadGroups();
+
+const saveGroups = () => {
+    fs.writeFileSync(config.groupsFile, JSON.stringify(Object.fromEntries(cameraGroups), null, 4));
+};
+
+const getGroupStatus = (req, group) => {
+    const members = group.streams.map(member => {
+        const stream = activeStreams.get(member.streamId);
+        return {
+            streamId: member.streamId,
+            active: !!stream,
+            state: stream ? stream.supervisor.state : startQueue.some(ticket => ticket.streamId === member.streamId) ? 'queued' : 'stopped',
+            ...getPlaybackUrl(req, member.streamId, stream ? stream.playlistName : (member.renditions ? 'master.m3u8' : 'playlist.m3u8')),
+            stream: stream ? summarizeStream(member.streamId, stream) : null
+        };
+    });
+
+    const activeCount = members.filter(member => member.active).length;
+    return {
+        groupId: group.groupId,
+        description: group.description,
+        owner: group.owner,
+        createdAt: group.createdAt,
+        status: activeCount === 0 ? 'stopped' : activeCount === members.length ? 'active' : 'partial',
+        activeStreams: activeCount,
+        totalStreams: members.length,
+        streams: members
+    };
+};
+
+const findGroup = (req, res) => {
+    const groupId = generateSafeStreamId(req.params.groupId);
+    const group = cameraGroups.get(groupId);
+
+    if (!group) {
+        res.status(404).json({
+            success: false,
+            message: 'Group not found',
+            groupId: groupId
+        });
+        return null;
+    }
+
+    if (!canAccess(req, group.owner)) {
+        sendForbidden(res, { groupId: groupId });
+        return null;
+    }
+
+    return group;
+};
+
+app.post('/api/groups', requireScope('start'), (req, res) => {
+    try {
+        const { groupId, description, streams } = req.body;
+
+        if (!groupId) {
+            return res.status(400).json({
+                success: false,
+                message: 'groupId is required'
+            });
+        }
+
+        const { items, error } = validateBatchStreams('start', streams);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        for (const item of items) {
+            if (!isValidUrl(item.flvUrl)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid flvUrl format for stream ${item.streamId}`
+                });
+            }
+
+            const { error: optionsError } = parseStreamOptions(item.profile === 'auto' ? { ...item, profile: undefined } : item);
+            if (optionsError) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Stream ${item.streamId}: ${optionsError}`
+                });
+            }
+        }
+
+        const safeGroupId = generateSafeStreamId(groupId);
+        const previous = cameraGroups.get(safeGroupId);
+        if (previous && !canAccess(req, previous.owner)) {
+            return sendForbidden(res, { groupId: safeGroupId });
+        }
+
+        const group = {
+            groupId: safeGroupId,
+            description: description || null,
+            streams: items.map(item => {
+                const member = { streamId: generateSafeStreamId(item.streamId), flvUrl: item.flvUrl };
+                for (const field of streamOptionFields) {
+                    if (item[field] !== undefined) {
+                        member[field] = item[field];
+                    }
+                }
+                return member;
+            }),
+            owner: req.principal ? req.principal.id : null,
+            createdAt: previous ? previous.createdAt : new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        cameraGroups.set(safeGroupId, group);
+        saveGroups();
+
+        console.log(`🗂️ Group ${safeGroupId} ${previous ? 'updated' : 'created'} with ${group.streams.length} streams`);
+
+        res.json({
+            success: true,
+            group: getGroupStatus(req, group)
+        });
+    } catch (error) {
+        console.error('❌ Error saving group:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/groups', requireScope('read'), (req, res) => {
+    const groups = Array.from(cameraGroups.values()).filter(group => canAccess(req, group.owner)).map(group => {
+        const { streams, ...summary } = getGroupStatus(req, group);
+        return { ...summary, streamIds: streams.map(stream => stream.streamId) };
+    });
+
+    res.json({
+        success: true,
+        groups: groups
+    });
+});
+
+app.get('/api/groups/:groupId', requireScope('read'), (req, res) => {
+    const group = findGroup(req, res);
+    if (!group) {
+        return;
+    }
+
+    res.json({
+        success: true,
+        group: getGroupStatus(req, group)
+    });
+});
+
+app.post('/api/groups/:groupId/start', requireScope('start'), async (req, res) => {
+    const group = findGroup(req, res);
+    if (!group) {
+        return;
+    }
+
+    console.log(`📦 Starting group ${group.groupId} (${group.streams.length} streams)`);
+    try {
+        const result = await runBatch(req, 'start', group.streams);
+        res.json({ ...result, groupId: group.groupId, group: getGroupStatus(req, group) });
+    } catch (error) {
+        sendRoutingError(res, error);
+    }
+});
+
+app.post('/api/groups/:groupId/stop', requireScope('stop'), async (req, res) => {
+    const group = findGroup(req, res);
+    if (!group) {
+        return;
+    }
+
+    console.log(`📦 Stopping group ${group.groupId} (${group.streams.length} streams)`);
+    try {
+        const result = await runBatch(req, 'stop', group.streams);
+        res.json({ ...result, groupId: group.groupId, group: getGroupStatus(req, group) });
+    } catch (error) {
+        sendRoutingError(res, error);
+    }
+});
+
+// Removes only the group definition, its streams keep running until they are stopped
+app.delete('/api/groups/:groupId', requireScope('stop'), (req, res) => {
+    const group = findGroup(req, res);
+    if (!group) {
+        return;
+    }
+
+    cameraGroups.delete(group.groupId);
+    saveGroups();
+
+    console.log(`🗑️ Group ${group.groupId} removed`);
+
+    res.json({
+        success: true,
+        message: 'Group removed',
+        groupId: group.groupId
+    });
+});
+
+app.get('/api/stream/status/:streamId', requireScope('read'), (req, res) => {
+    const safeStreamId = generateSafeStreamId(req.params.streamId);
+    const stream = activeStreams.get(safeStreamId);
+    const metrics = streamMetrics.get(safeStreamId);
+
+    if (stream && !canAccess(req, stream.owner)) {
+        return sendForbidden(res, { streamId: safeStreamId });
+    }
+
+    if (!stream) {
+        const failure = failedStreams.get(safeStreamId);
+        const failed = failure && canAccess(req, failure.owner) ? failure : null;
+        return res.json({
+            success: true,
+            active: false,
+            message: failed ? 'Stream failed after exhausting restarts' : 'Stream not active',
+            streamId: safeStreamId,
+            failedAt: failed ? new Date(failed.failedAt).toISOString() : undefined,
+            lastError: failed ? failed.lastError : undefined,
+            supervisor: failed ? failed.supervisor : undefined
+        });
+    }
+
+    const playlistPath = path.join(hlsDir, safeStreamId, stream.playlistName);
+    const playlistExists = stream.llhls ? stream.llhls.isReady() : hlsFileExists(playlistPath);
+
+    const variants = getMediaPlaylists(safeStreamId, stream).map(playlist => ({
+        name: playlist.name,
+        ...getSegmentStats(playlist)
+    }));
+    const segmentCount = variants.reduce((total, variant) => total + variant.segmentCount, 0);
+    const actualSegmentCount = variants.reduce((total, variant) => total + variant.actualSegmentCount, 0);
+
+    res.json({
+        success: true,
+        active: true,
+        streamId: safeStreamId,
+        playlistExists: playlistExists,
+        segmentCount: segmentCount,
+        actualSegmentCount: actualSegmentCount,
+        variants: stream.renditions ? variants : undefined,
+        startTime: stream.startTime,
+        uptime: Date.now() - stream.startTime,
+        lastActivity: stream.lastActivity,
+        ...getPlaybackUrl(req, safeStreamId, stream.playlistName),
+        processRunning: stream.supervisor.state === 'running' && !stream.process.killed,
+        supervisor: getSupervisorStatus(stream),
+        flvUrl: stream.flvUrl,
+        source: stream.source,
+        owner: stream.owner,
+        transcoding: stream.transcoding,
+        lowLatency: stream.llhls ? stream.llhls.getStatus() : null,
+        dvr: stream.dvr ? getDvrStatus(safeStreamId, stream) : null,
+        storage: stream.storage,
+        memoryStore: memoryStores.has(safeStreamId) ? memoryStores.get(safeStreamId).getStatus() : null,
+        encryption: stream.encryption ? {
+            method: 'AES-128',
+            keySetId: stream.encryption.keySetId,
+            rotateEvery: stream.encryption.rotateEvery,
+            currentKey: stream.encryption.currentKey()
+        } : null,
+        thumbnails: stream.thumbnails ? {
+            format: stream.thumbnails.format,
+            interval: stream.thumbnails.interval,
+            width: stream.thumbnails.width,
+            thumbnailUrl: `${getPublicBaseUrl(req)}/api/stream/${safeStreamId}/thumbnail`,
+            vttUrl: getPlaybackUrl(req, safeStreamId, 'thumbnails.vtt').hlsUrl
+        } : null,
+        recording: stream.recording ? stream.recording.meta : null,
+        audience: getAudienceStatus(safeStreamId, { includeSessions: true }),
+        clientInfo: {
+            ip: stream.clientIP,
+            userAgent: stream.userAgent
+        },
+        metrics: metrics ? {
+            reconnectCount: metrics.reconnectCount,
+            errorCount: metrics.errorCount,
+            warningCount: metrics.warningCount,
+            segmentCount: metrics.segmentCount,
+            lastError: metrics.lastError,
+            lastSegment: metrics.lastSegment,
+            lastSegmentTime: metrics.lastSegmentTime,
+            frames: metrics.frames,
+            fps: metrics.fps,
+            bitrateKbps: metrics.bitrateKbps,
+            speed: metrics.speed,
+            outTime: metrics.outTime,
+            totalSize: metrics.totalSize,
+            droppedFrames: metrics.droppedFrames,
+            duplicatedFrames: metrics.duplicatedFrames,
+            progressUpdatedAt: metrics.progressUpdatedAt
+        } : null
+    });
+});
+
+const summarizeStream = (streamId, stream) => {
+    const metrics = streamMetrics.get(streamId);
+    return {
+        streamId,
+        startTime: stream.startTime,
+        uptime: Date.now() - stream.startTime,
+        lastActivity: stream.lastActivity,
+        flvUrl: stream.flvUrl,
+        source: stream.source,
+        owner: stream.owner,
+        priority: stream.priority,
+        storage: stream.storage,
+        processRunning: stream.supervisor.state === 'running' && !stream.process.killed,
+        state: stream.supervisor.state,
+        viewers: getAudienceStatus(streamId).concurrentViewers,
+        clientInfo: {
+            ip: stream.clientIP,
+            userAgent: stream.userAgent
+        },
+        metrics: metrics ? {
+            reconnectCount: metrics.reconnectCount,
+            errorCount: metrics.errorCount,
+            segmentCount: metrics.segmentCount,
+            lastError: metrics.lastError,
+            fps: metrics.fps,
+            bitrateKbps: metrics.bitrateKbps,
+            speed: metrics.speed
+        } : null
+    };
+};
+
+app.get('/api/streams/active', requireScope('read'), (req, res) => {
+    const streams = Array.from(activeStreams.entries())
+        .filter(([, stream]) => canAccess(req, stream.owner))
+        .map(([streamId, stream]) => summarizeStream(streamId, stream));
+
+    res.json({
+        success: true,
+        activeStreams: streams.length,
+        maxStreams: config.maxConcurrentStreams,
+        utilizationPercent: Math.round((streams.length / config.maxConcurrentStreams) * 100),
+        streams: streams,
+        serverMetrics: {
+            uptime: process.uptime(),
+            memoryUsage: process.memoryUsage(),
+            cpuUsage: process.cpuUsage()
+        }
+    });
+});
+
+// One long-lived request instead of polling, does not count against the rate limit after it is opened
+app.get('/api/streams/events', requireScope('read'), (req, res) => {
+    const streamIds = req.query.streamId
+        ? new Set(String(req.query.streamId).split(',').map(id => generateSafeStreamId(id.trim())).filter(Boolean))
+        : null;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const subscriber = { req, res, streamIds };
+    sendServerEvent(res, 'snapshot', {
+        timestamp: new Date().toISOString(),
+        maxStreams: config.maxConcurrentStreams,
+        streams: Array.from(activeStreams.entries())
+            .filter(([streamId, stream]) => (!streamIds || streamIds.has(streamId)) && canAccess(req, stream.owner))
+            .map(([streamId, stream]) => summarizeStream(streamId, stream))
+    });
+    eventSubscribers.add(subscriber);
+
+    // Keeps proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        eventSubscribers.delete(subscriber);
+    });
+});
+
+app.get('/api/stream/:streamId/thumbnail', requireScope('read'), (req, res) => {
+    const safeStreamId = generateSafeStreamId(req.params.streamId);
+    const stream = activeStreams.get(safeStreamId);
+
+    if (!stream) {
+        return res.status(404).json({
+            success: false,
+            message: 'Stream not active',
+            streamId: safeStreamId
+        });
+    }
+
+    if (!canAccess(req, stream.owner)) {
+        return sendForbidden(res, { streamId: safeStreamId });
+    }
+
+    if (!stream.thumbnails || !fs.existsSync(stream.thumbnails.thumbnailPath)) {
+        return res.status(404).json({
+            success: false,
+            message: stream.thumbnails ? 'No thumbnail written yet' : 'Thumbnails are not enabled for this stream',
+            streamId: safeStreamId
         });
+    }
 
-        ffmpeg.on('error', (error) => {
-            console.error(`❌ FFmpeg error [${safeStreamId}]:`, error);
-            activeStreams.delete(safeStreamId);
-            
-            const metrics = streamMetrics.get(safeStreamId);
-            if (metrics) {
-                metrics.errorCount++;
-                metrics.lastError = error.message;
-            }
-            
-            errorOccurred = true;
-            lastErrorMessage = error.message;
+    res.setHeader('Cache-Control', 'no-cache');
+    res.type(thumbnailFormats[stream.thumbnails.format].contentType);
+    res.sendFile(stream.thumbnails.thumbnailPath);
+});
+
+app.get('/api/stream/:streamId/snapshot', requireScope('read'), async (req, res) => {
+    const safeStreamId = generateSafeStreamId(req.params.streamId);
+    const stream = activeStreams.get(safeStreamId);
+
+    if (!stream) {
+        return res.status(404).json({
+            success: false,
+            message: 'Stream not active',
+            streamId: safeStreamId
         });
+    }
 
-        const streamData = {
-            process: ffmpeg,
-            startTime: Date.now(),
-            flvUrl: flvUrl,
-            lastActivity: Date.now(),
-            clientIP: req.ip || req.connection.remoteAddress,
-            userAgent: req.get('User-Agent') || 'Unknown',
-            timeout: setTimeout(() => {
-                console.log(`⏰ Stream ${safeStreamId} timed out, stopping...`);
-                try {
-                    if (!ffmpeg.killed) {
-                        ffmpeg.kill('SIGTERM');
-                        
-                        setTimeout(() => {
-                            if (!ffmpeg.killed) {
-                                ffmpeg.kill('SIGKILL');
-                            }
-                        }, 5000);
-                    }
-                } catch (error) {
-                    console.error(`Error killing timed out stream ${safeStreamId}:`, error);
-                }
-            }, config.streamTimeout)
-        };
+    if (!canAccess(req, stream.owner)) {
+        return sendForbidden(res, { streamId: safeStreamId });
+    }
 
-        activeStreams.set(safeStreamId, streamData);
+    const format = req.query.format || 'jpg';
+    const width = req.query.width ? parseInt(req.query.width) : config.thumbnailWidth;
+    if (!thumbnailFormats[format] || !(width >= 64 && width <= 1920)) {
+        return res.status(400).json({
+            success: false,
+            message: `format must be one of ${Object.keys(thumbnailFormats).join(', ')} and width between 64 and 1920`
+        });
+    }
 
-        const playlistPath = path.join(streamDir, 'playlist.m3u8');
-        
-        try {
-            console.log(`⏳ Waiting for HLS playlist for stream ${safeStreamId}...`);
-            await waitForPlaylist(playlistPath, 30000);
-            console.log(`✅ HLS playlist ready for stream ${safeStreamId}`);
-        } catch (waitError) {
-            console.warn(`⚠️ Playlist not ready yet for ${safeStreamId}: ${waitError.message}`);
-            
-            if (errorOccurred) {
-                if (activeStreams.has(safeStreamId)) {
-                    const stream = activeStreams.get(safeStreamId);
-                    if (stream.timeout) clearTimeout(stream.timeout);
-                    if (!stream.process.killed) {
-                        stream.process.kill('SIGTERM');
-                    }
-                    activeStreams.delete(safeStreamId);
-                }
-                
-                cleanupStreamDirectory(safeStreamId);
-                
-                return res.status(500).json({
-                    success: false,
-                    message: 'Failed to start FFmpeg process',
-                    error: lastErrorMessage || 'Stream source might be unavailable',
-                    details: 'Critical error occurred during stream initialization'
-                });
-            }
-        }
+    try {
+        const image = await extractSnapshot(safeStreamId, stream, { format, width });
+        res.setHeader('Cache-Control', 'no-store');
+        res.type(thumbnailFormats[format].contentType);
+        res.send(image);
+    } catch (error) {
+        console.error(`❌ Snapshot failed for ${safeStreamId}:`, error.message);
+        res.status(503).json({
+            success: false,
+            message: 'Could not take a snapshot',
+            error: error.message,
+            streamId: safeStreamId
+        });
+    }
+});
 
-        if (errorOccurred || ffmpeg.killed) {
-            activeStreams.delete(safeStreamId);
-            cleanupStreamDirectory(safeStreamId);
-            
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to start FFmpeg process',
-                error: lastErrorMessage || 'Stream source might be unavailable',
-                details: 'Process died during startup'
-            });
-        }
+app.post('/api/stream/:streamId/record/start', requireScope('start'), (req, res) => {
+    const safeStreamId = generateSafeStreamId(req.params.streamId);
+    const stream = activeStreams.get(safeStreamId);
+
+    if (!stream) {
+        return res.status(404).json({
+            success: false,
+            message: 'Stream not active',
+            streamId: safeStreamId
+        });
+    }
 
-        const hlsUrl = `http://localhost:${PORT}/hls/${safeStreamId}/playlist.m3u8`;
+    if (!canAccess(req, stream.owner)) {
+        return sendForbidden(res, { streamId: safeStreamId });
+    }
+
+    if (stream.recording) {
+        return res.status(409).json({
+            success: false,
+            message: 'Stream is already being recorded',
+            streamId: safeStreamId,
+            recordingId: stream.recording.id
+        });
+    }
+
+    const format = (req.body && req.body.format) || 'hls';
+    if (!recordingFormats.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid format, allowed values: ${recordingFormats.join(', ')}`
+        });
+    }
 
+    try {
+        stream.recording = createRecorder(safeStreamId, stream, format);
         res.json({
             success: true,
-            message: 'Stream conversion started successfully',
-            hlsUrl: hlsUrl,
+            message: 'Recording started',
             streamId: safeStreamId,
-            startTime: streamData.startTime,
-            config: {
-                segmentDuration: config.segmentDuration,
-                maxSegments: config.maxSegments,
-                timeout: config.streamTimeout
-            },
-            status: 'starting'
+            recording: stream.recording.meta
         });
-
     } catch (error) {
-        console.error('❌ Error starting stream:', error);
-        
-        if (safeStreamId) {
-            if (activeStreams.has(safeStreamId)) {
-                const stream = activeStreams.get(safeStreamId);
-                if (stream.timeout) clearTimeout(stream.timeout);
-                if (stream.process && !stream.process.killed) {
-                    stream.process.kill('SIGTERM');
-                }
-                activeStreams.delete(safeStreamId);
-            }
-            cleanupStreamDirectory(safeStreamId);
-        }
-        
+        console.error('❌ Error starting recording:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -488,72 +6393,239 @@ app.post('/api/stream/start', async (req, res) => {
     }
 });
 
-app.post('/api/stream/stop', (req, res) => {
+app.post('/api/stream/:streamId/record/stop', requireScope('stop'), (req, res) => {
+    const safeStreamId = generateSafeStreamId(req.params.streamId);
+    const stream = activeStreams.get(safeStreamId);
+
+    if (!stream || !stream.recording) {
+        return res.status(404).json({
+            success: false,
+            message: 'Stream is not being recorded',
+            streamId: safeStreamId
+        });
+    }
+
+    if (!canAccess(req, stream.owner)) {
+        return sendForbidden(res, { streamId: safeStreamId });
+    }
+
     try {
-        const { streamId } = req.body;
+        const recording = stopRecording(stream);
+        res.json({
+            success: true,
+            message: 'Recording stopped',
+            streamId: safeStreamId,
+            recording: recording
+        });
+    } catch (error) {
+        console.error('❌ Error stopping recording:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
 
-        if (!streamId) {
-            return res.status(400).json({
-                success: false,
-                message: 'streamId is required'
-            });
+// Players fetch keys with the playback token they got with the playlist, API clients with their credential
+app.get('/api/keys/:keySetId/:keyIndex', (req, res) => {
+    const keySetId = generateSafeStreamId(req.params.keySetId);
+    const meta = readKeySetMeta(keySetId);
+    const keyPath = path.join(config.keysDir, keySetId, `${parseInt(req.params.keyIndex)}.key`);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (!meta || !fs.existsSync(keyPath)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Key not found',
+            keySetId: keySetId
+        });
+    }
+
+    const sendKey = () => {
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.sendFile(keyPath);
+    };
+
+    // Recordings keep the keys of the stream they were taken from, their tokens open those keys too
+    if (config.playbackSecret && (isValidPlaybackToken(meta.streamId, req.query.token, req.ip) ||
+        findRecordingsUsingKeySet(keySetId).some(recording => isValidPlaybackToken(recordingTokenSubject(recording.id), req.query.token, req.ip)))) {
+        return sendKey();
+    }
+
+    if (!isAuthEnabled()) {
+        return config.playbackSecret ? res.status(403).send('Invalid or expired playback token') : sendKey();
+    }
+
+    requireScope('read')(req, res, () => {
+        if (!canAccess(req, meta.owner)) {
+            return sendForbidden(res, { keySetId: keySetId });
         }
+        sendKey();
+    });
+});
 
-        const safeStreamId = generateSafeStreamId(streamId);
-        const stream = activeStreams.get(safeStreamId);
-        
-        if (!stream) {
-            return res.json({
-                success: true,
-                message: 'Stream not found or already stopped',
-                streamId: safeStreamId
+app.get('/api/recordings', requireScope('read'), (req, res) => {
+    const streamId = req.query.streamId ? generateSafeStreamId(req.query.streamId) : null;
+    let recordings = [];
+
+    try {
+        recordings = fs.readdirSync(config.recordingsDir)
+            .map(readRecordingMeta)
+            .filter(meta => meta && (!streamId || meta.streamId === streamId) && canAccess(req, meta.owner))
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    } catch (error) {
+        console.error('Error reading recordings directory:', error);
+    }
+
+    res.json({
+        success: true,
+        count: recordings.length,
+        recordings: recordings
+    });
+});
+
+app.get('/api/recordings/:recordingId', requireScope('read'), (req, res) => {
+    const recordingId = generateSafeStreamId(req.params.recordingId);
+    const meta = readRecordingMeta(recordingId);
+
+    if (!meta) {
+        return res.status(404).json({
+            success: false,
+            message: 'Recording not found',
+            recordingId: recordingId
+        });
+    }
+
+    if (!canAccess(req, meta.owner)) {
+        return sendForbidden(res, { recordingId: recordingId });
+    }
+
+    res.json({
+        success: true,
+        recording: meta,
+        ...(meta.files.includes('playlist.m3u8') ? getRecordingPlaybackUrl(req, recordingId) : { playbackUrl: null }),
+        downloadUrl: `${getPublicBaseUrl(req)}/api/recordings/${recordingId}/download`
+    });
+});
+
+app.get('/api/recordings/:recordingId/download', requireScope('read'), (req, res) => {
+    const recordingId = generateSafeStreamId(req.params.recordingId);
+    const meta = readRecordingMeta(recordingId);
+    const recordingDir = path.join(config.recordingsDir, recordingId);
+
+    if (!meta) {
+        return res.status(404).json({
+            success: false,
+            message: 'Recording not found',
+            recordingId: recordingId
+        });
+    }
+
+    if (!canAccess(req, meta.owner)) {
+        return sendForbidden(res, { recordingId: recordingId });
+    }
+
+    if (meta.status === 'recording' || meta.status === 'finalizing') {
+        return res.status(409).json({
+            success: false,
+            message: `Recording is still ${meta.status}`,
+            recordingId: recordingId
+        });
+    }
+
+    if (meta.files.includes('recording.mp4')) {
+        return res.download(path.join(recordingDir, 'recording.mp4'), `${recordingId}.mp4`);
+    }
+
+    // HLS recordings are downloaded as one continuous file (MPEG-TS, or fMP4 with its init segment)
+    const files = meta.files.filter(file => file === 'init.mp4' || /\.(ts|m4s)$/.test(file));
+    const fmp4 = files.includes('init.mp4');
+
+    // Encrypted recordings are decrypted on the way out, a download is one plain file
+    const segmentKeys = new Map();
+    if (meta.keySetId) {
+        try {
+            const playlist = parseMediaPlaylist(fs.readFileSync(path.join(recordingDir, 'playlist.m3u8'), 'utf8'));
+            for (const segment of resolveSegmentKeys(playlist.segments)) {
+                if (segment.key) {
+                    const { uri, iv } = parseKeyTag(segment.key);
+                    segmentKeys.set(segment.uri, { key: fs.readFileSync(getKeyFilePath(uri)), iv: Buffer.from(iv, 'hex') });
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Could not load keys for recording ${recordingId}:`, error.message);
+            return res.status(500).json({
+                success: false,
+                message: 'Recording keys are not available',
+                recordingId: recordingId
             });
         }
+    }
 
-        if (stream.timeout) {
-            clearTimeout(stream.timeout);
-        }
+    res.setHeader('Content-Type', fmp4 ? 'video/mp4' : 'video/mp2t');
+    res.setHeader('Content-Disposition', `attachment; filename="${recordingId}.${fmp4 ? 'mp4' : 'ts'}"`);
 
-        const metrics = streamMetrics.get(safeStreamId);
-        const finalMetrics = metrics ? {
-            uptime: Date.now() - metrics.startTime,
-            reconnects: metrics.reconnectCount,
-            errors: metrics.errorCount,
-            segments: metrics.segmentCount
-        } : null;
+    const sendNext = (index) => {
+        if (index >= files.length) {
+            return res.end();
+        }
+        const onError = (error) => {
+            console.error(`Error streaming recording ${recordingId}:`, error.message);
+            res.destroy(error);
+        };
+        let fileStream = fs.createReadStream(path.join(recordingDir, files[index]));
+        fileStream.on('error', onError);
 
-        try {
-            if (!stream.process.killed) {
-                stream.process.kill('SIGTERM');
-                
-                setTimeout(() => {
-                    if (!stream.process.killed) {
-                        console.warn(`Force killing stream ${safeStreamId}`);
-                        stream.process.kill('SIGKILL');
-                    }
-                }, 5000);
-            }
-        } catch (killError) {
-            console.error(`Error killing process for stream ${safeStreamId}:`, killError);
+        const segmentKey = segmentKeys.get(files[index]);
+        if (segmentKey) {
+            const decipher = crypto.createDecipheriv('aes-128-cbc', segmentKey.key, segmentKey.iv);
+            decipher.on('error', onError);
+            fileStream = fileStream.pipe(decipher);
         }
+        fileStream.on('end', () => sendNext(index + 1));
+        fileStream.pipe(res, { end: false });
+    };
+    sendNext(0);
+});
 
-        activeStreams.delete(safeStreamId);
-        streamMetrics.delete(safeStreamId);
+app.delete('/api/recordings/:recordingId', requireScope('stop'), (req, res) => {
+    const recordingId = generateSafeStreamId(req.params.recordingId);
+    const meta = readRecordingMeta(recordingId);
+
+    if (!meta) {
+        return res.status(404).json({
+            success: false,
+            message: 'Recording not found',
+            recordingId: recordingId
+        });
+    }
 
-        cleanupStreamDirectory(safeStreamId);
+    if (!canAccess(req, meta.owner)) {
+        return sendForbidden(res, { recordingId: recordingId });
+    }
 
-        console.log(`🛑 Stream ${safeStreamId} stopped manually`);
+    if (activeRecordings.has(recordingId)) {
+        return res.status(409).json({
+            success: false,
+            message: 'Recording is still in progress, stop it first',
+            recordingId: recordingId
+        });
+    }
 
+    try {
+        fs.rmSync(path.join(config.recordingsDir, recordingId), { recursive: true, force: true });
+        releaseKeySet(meta.keySetId);
+        console.log(`🗑️ Recording ${recordingId} deleted`);
         res.json({
             success: true,
-            message: 'Stream stopped successfully',
-            streamId: safeStreamId,
-            stoppedAt: new Date().toISOString(),
-            metrics: finalMetrics
+            message: 'Recording deleted',
+            recordingId: recordingId
         });
-
     } catch (error) {
-        console.error('❌ Error stopping stream:', error);
+        console.error('❌ Error deleting recording:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -562,112 +6634,228 @@ app.post('/api/stream/stop', (req, res) => {
     }
 });
 
-app.get('/api/stream/status/:streamId', (req, res) => {
+const sendClipRequest = (req, res, source, range) => {
+    if (range.error) {
+        return res.status(400).json({
+            success: false,
+            message: range.error
+        });
+    }
+
+    try {
+        const job = createClipJob(source, range.startTime, range.endTime);
+        res.status(202).json({
+            success: true,
+            message: 'Clip export started',
+            clip: job,
+            statusUrl: `${getPublicBaseUrl(req)}/api/clips/${job.id}`,
+            downloadUrl: `${getPublicBaseUrl(req)}/api/clips/${job.id}/download`
+        });
+    } catch (error) {
+        console.error('❌ Error creating clip:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+};
+
+app.post('/api/stream/:streamId/clips', requireScope('start'), (req, res) => {
     const safeStreamId = generateSafeStreamId(req.params.streamId);
     const stream = activeStreams.get(safeStreamId);
-    const metrics = streamMetrics.get(safeStreamId);
 
     if (!stream) {
-        return res.json({
-            success: true,
-            active: false,
+        return res.status(404).json({
+            success: false,
             message: 'Stream not active',
             streamId: safeStreamId
         });
     }
 
-    const playlistPath = path.join(hlsDir, safeStreamId, 'playlist.m3u8');
-    const playlistExists = fs.existsSync(playlistPath);
-    
-    let segmentCount = 0;
-    let playlistContent = '';
-    
-    if (playlistExists) {
-        try {
-            playlistContent = fs.readFileSync(playlistPath, 'utf8');
-            segmentCount = (playlistContent.match(/\.ts/g) || []).length;
-        } catch (error) {
-            console.error('Error reading playlist:', error);
-        }
+    if (!canAccess(req, stream.owner)) {
+        return sendForbidden(res, { streamId: safeStreamId });
     }
 
-    stream.lastActivity = Date.now();
+    const playlist = getMediaPlaylists(safeStreamId, stream)[0];
+    const source = {
+        type: 'stream',
+        id: safeStreamId,
+        owner: stream.owner,
+        initPath: stream.llhls ? path.join(stream.llhls.partsDir, 'init.mp4') : null,
+        isLive: () => activeStreams.get(safeStreamId) === stream,
+        getSegments: () => getTimedSegments(
+            stream.llhls ? stream.llhls.renderPlaylist() : readHlsFile(playlist.playlistPath, 'utf8'),
+            playlist.dir
+        )
+    };
 
-    const streamDir = path.join(hlsDir, safeStreamId);
-    let actualSegmentCount = 0;
-    if (fs.existsSync(streamDir)) {
-        try {
-            const files = fs.readdirSync(streamDir);
-            actualSegmentCount = files.filter(f => f.endsWith('.ts')).length;
-        } catch (error) {
-            console.error('Error reading stream directory:', error);
-        }
+    sendClipRequest(req, res, source, resolveClipRange(req.body || {}, Date.now()));
+});
+
+app.post('/api/recordings/:recordingId/clips', requireScope('start'), (req, res) => {
+    const recordingId = generateSafeStreamId(req.params.recordingId);
+    const meta = readRecordingMeta(recordingId);
+    const recordingDir = path.join(config.recordingsDir, recordingId);
+
+    if (!meta || !meta.files.includes('playlist.m3u8')) {
+        return res.status(404).json({
+            success: false,
+            message: meta ? 'Recording has no HLS segments to clip from' : 'Recording not found',
+            recordingId: recordingId
+        });
+    }
+
+    if (!canAccess(req, meta.owner)) {
+        return sendForbidden(res, { recordingId: recordingId });
+    }
+
+    const source = {
+        type: 'recording',
+        id: recordingId,
+        owner: meta.owner,
+        initPath: meta.files.includes('init.mp4') ? path.join(recordingDir, 'init.mp4') : null,
+        isLive: () => activeRecordings.has(recordingId),
+        getSegments: () => getTimedSegments(fs.readFileSync(path.join(recordingDir, 'playlist.m3u8'), 'utf8'), recordingDir)
+    };
+
+    sendClipRequest(req, res, source, resolveClipRange(req.body || {}, Date.parse(meta.startedAt)));
+});
+
+app.get('/api/clips', requireScope('read'), (req, res) => {
+    let clips = [];
+    try {
+        clips = fs.readdirSync(config.clipsDir)
+            .map(readClipMeta)
+            .filter(job => job && canAccess(req, job.owner))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } catch (_) {
+        // No clips exported yet
     }
 
     res.json({
         success: true,
-        active: true,
-        streamId: safeStreamId,
-        playlistExists: playlistExists,
-        segmentCount: segmentCount,
-        actualSegmentCount: actualSegmentCount,
-        startTime: stream.startTime,
-        uptime: Date.now() - stream.startTime,
-        lastActivity: stream.lastActivity,
-        hlsUrl: `http://localhost:${PORT}/hls/${safeStreamId}/playlist.m3u8`,
-        processRunning: !stream.process.killed,
-        flvUrl: stream.flvUrl,
-        clientInfo: {
-            ip: stream.clientIP,
-            userAgent: stream.userAgent
-        },
-        metrics: metrics ? {
-            reconnectCount: metrics.reconnectCount,
-            errorCount: metrics.errorCount,
-            segmentCount: metrics.segmentCount,
-            lastError: metrics.lastError,
-            lastSegmentTime: metrics.lastSegmentTime
-        } : null
+        count: clips.length,
+        clips: clips
     });
 });
 
-app.get('/api/streams/active', (req, res) => {
-    const streams = Array.from(activeStreams.entries()).map(([streamId, stream]) => {
-        const metrics = streamMetrics.get(streamId);
-        return {
-            streamId,
-            startTime: stream.startTime,
-            uptime: Date.now() - stream.startTime,
-            lastActivity: stream.lastActivity,
-            flvUrl: stream.flvUrl,
-            processRunning: !stream.process.killed,
-            clientInfo: {
-                ip: stream.clientIP,
-                userAgent: stream.userAgent
-            },
-            metrics: metrics ? {
-                reconnectCount: metrics.reconnectCount,
-                errorCount: metrics.errorCount,
-                segmentCount: metrics.segmentCount,
-                lastError: metrics.lastError
-            } : null
-        };
+app.get('/api/clips/:jobId', requireScope('read'), (req, res) => {
+    const jobId = generateSafeStreamId(req.params.jobId);
+    const job = clipJobs.get(jobId) || readClipMeta(jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            message: 'Clip not found',
+            jobId: jobId
+        });
+    }
+
+    if (!canAccess(req, job.owner)) {
+        return sendForbidden(res, { jobId: jobId });
+    }
+
+    res.json({
+        success: true,
+        clip: job,
+        downloadUrl: job.status === 'completed' ? `${getPublicBaseUrl(req)}/api/clips/${jobId}/download` : null
+    });
+});
+
+app.get('/api/clips/:jobId/download', requireScope('read'), (req, res) => {
+    const jobId = generateSafeStreamId(req.params.jobId);
+    const job = readClipMeta(jobId);
+
+    if (job && !canAccess(req, job.owner)) {
+        return sendForbidden(res, { jobId: jobId });
+    }
+
+    if (!job || job.status !== 'completed') {
+        return res.status(job ? 409 : 404).json({
+            success: false,
+            message: job ? `Clip is ${job.status}` : 'Clip not found',
+            jobId: jobId
+        });
+    }
+
+    res.download(path.join(config.clipsDir, jobId, 'clip.mp4'), `${jobId}.mp4`);
+});
+
+app.delete('/api/clips/:jobId', requireScope('stop'), (req, res) => {
+    const jobId = generateSafeStreamId(req.params.jobId);
+    const job = clipJobs.get(jobId) || readClipMeta(jobId);
+
+    if (job && !canAccess(req, job.owner)) {
+        return sendForbidden(res, { jobId: jobId });
+    }
+
+    if (clipJobs.has(jobId)) {
+        return res.status(409).json({
+            success: false,
+            message: 'Clip export is still running',
+            jobId: jobId
+        });
+    }
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            message: 'Clip not found',
+            jobId: jobId
+        });
+    }
+
+    fs.rmSync(path.join(config.clipsDir, jobId), { recursive: true, force: true });
+    console.log(`🗑️ Clip ${jobId} deleted`);
+
+    res.json({
+        success: true,
+        message: 'Clip deleted',
+        jobId: jobId
     });
+});
 
+app.get('/api/profiles', requireScope('read'), (req, res) => {
     res.json({
         success: true,
-        activeStreams: streams.length,
-        maxStreams: config.maxConcurrentStreams,
-        utilizationPercent: Math.round((streams.length / config.maxConcurrentStreams) * 100),
-        streams: streams,
-        serverMetrics: {
-            uptime: process.uptime(),
-            memoryUsage: process.memoryUsage(),
-            cpuUsage: process.cpuUsage()
-        }
+        defaultProfile: config.defaultProfile,
+        profiles: transcodingProfiles,
+        overrideRules: profileOverrideRules
     });
 });
 
+app.get('/api/webhooks/deliveries', requireScope('read'), (req, res) => {
+    const { streamId, event, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    const deliveries = readWebhookDeliveries()
+        .filter(entry => canAccess(req, entry.owner))
+        .filter(entry => (!streamId || entry.streamId === streamId) && (!event || entry.event === event) && (!status || entry.status === status))
+        .slice(-limit)
+        .reverse();
+
+    res.json({
+        success: true,
+        webhookUrls: config.webhookUrls.length,
+        signed: !!config.webhookSecret,
+        deliveries: deliveries
+    });
+});
+
+// The health route is unauthenticated, so only settings that can never carry credentials are listed.
+// Secrets, URLs (REDIS_URL, webhook and coordinator URLs can embed passwords or tokens) and file paths stay out.
+const publicConfigFields = [
+    'maxConcurrentStreams', 'maxCpuLoad', 'streamQuota', 'queueMaxSize', 'queueTimeout', 'preemptPriority', 'preemptIdleAfter',
+    'segmentDuration', 'maxSegments', 'streamTimeout', 'viewerSessionTimeout', 'onDemandIdleTimeout',
+    'batchMaxStreams', 'batchConcurrency', 'webhookMaxAttempts', 'webhookRetryDelay', 'webhookTimeout', 'eventsMetricsInterval',
+    'thumbnailInterval', 'thumbnailWidth', 'spriteColumns', 'spriteRows', 'spriteCellWidth', 'spriteCellHeight',
+    'cleanupInterval', 'maxRetries', 'retryDelay', 'maxRetryDelay', 'retryResetTime', 'rtmpEnabled', 'rtmpPort',
+    'playbackTokenTtl', 'playbackBindIp', 'streamStore', 'drainTimeout', 'keyRotationSegments', 'maxClipDuration',
+    'dvrMaxWindow', 'dvrMaxBytes', 'llPartDuration', 'defaultProfile', 'probeTimeout',
+    'clusterRole', 'nodeId', 'clusterStore', 'heartbeatInterval', 'nodeTimeout', 'hlsStorage'
+];
+
 app.get('/api/health', async (req, res) => {
     const ffmpegAvailable = await checkFFmpegHealth();
     
@@ -676,16 +6864,27 @@ app.get('/api/health', async (req, res) => {
         totalSegments += metrics.segmentCount;
     }
     
-    res.json({
-        success: true,
-        message: 'Server is running',
+    // Load balancers should stop routing here as soon as a drain begins
+    res.status(shuttingDown ? 503 : 200).json({
+        success: !shuttingDown,
+        message: shuttingDown ? 'Server is draining' : 'Server is running',
         timestamp: new Date().toISOString(),
-        status: 'healthy',
+        status: shuttingDown ? 'draining' : 'healthy',
+        streamStore: streamStore.type,
+        persistedStreams: streamStore.list().length,
         activeStreams: activeStreams.size,
         maxStreams: config.maxConcurrentStreams,
         utilizationPercent: Math.round((activeStreams.size / config.maxConcurrentStreams) * 100),
+        cpuUsage: roundCpu(cpuSampler.usage),
+        queueLength: startQueue.length,
+        memoryStore: {
+            streams: memoryStores.size,
+            bytes: Array.from(memoryStores.values()).reduce((total, store) => total + store.getStatus().bytes, 0)
+        },
+        cluster: { role: clusterRole, nodeId: config.nodeId },
         ffmpegAvailable: ffmpegAvailable,
-        config: config,
+        config: Object.fromEntries(publicConfigFields.map(field => [field, config[field]])),
+        authEnabled: isAuthEnabled(),
         serverMetrics: {
             uptime: process.uptime(),
             memoryUsage: process.memoryUsage(),
@@ -698,6 +6897,125 @@ app.get('/api/health', async (req, res) => {
     });
 });
 
+// Linux only, resolves to null elsewhere or once the process is gone
+const readProcessUsage = (pid) => {
+    try {
+        // Fields after the parenthesised command name, utime and stime are the 12th and 13th
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const rssMatch = fs.readFileSync(`/proc/${pid}/status`, 'utf8').match(/VmRSS:\s+(\d+) kB/);
+
+        return {
+            cpuSeconds: (parseInt(fields[11]) + parseInt(fields[12])) / 100,
+            rssBytes: rssMatch ? parseInt(rssMatch[1]) * 1024 : null
+        };
+    } catch (_) {
+        return null;
+    }
+};
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const renderPrometheusMetrics = () => {
+    const lines = [];
+    const now = Date.now();
+
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            if (value === null || value === undefined || isNaN(value)) {
+                continue;
+            }
+            const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`).join(',');
+            lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+        }
+    };
+
+    const streams = Array.from(activeStreams.entries()).map(([streamId, stream]) => ({
+        streamId,
+        stream,
+        metrics: streamMetrics.get(streamId) || {},
+        usage: stream.supervisor.state === 'running' ? readProcessUsage(stream.process.pid) : null
+    }));
+    const perStream = (read) => streams.map(entry => [{ stream_id: entry.streamId }, read(entry)]);
+
+    metric('flv_hls_active_streams', 'gauge', 'Number of active streams.', [[{}, activeStreams.size]]);
+    metric('flv_hls_max_concurrent_streams', 'gauge', 'Configured maximum number of concurrent streams.', [[{}, config.maxConcurrentStreams]]);
+    metric('flv_hls_host_cpu_usage_ratio', 'gauge', 'Host CPU usage used for stream admission, 0 to 1.', [[{}, roundCpu(cpuSampler.usage)]]);
+    metric('flv_hls_start_queue_length', 'gauge', 'Start requests waiting for capacity.', [[{}, startQueue.length]]);
+    metric('flv_hls_start_queue_dispatched_total', 'counter', 'Queued start requests that were dispatched.', [[{}, queueStats.dispatched]]);
+    metric('flv_hls_start_queue_expired_total', 'counter', 'Queued start requests that timed out.', [[{}, queueStats.expired]]);
+    metric('flv_hls_streams_preempted_total', 'counter', 'Idle streams stopped to make room for a higher priority start.', [[{}, queueStats.preempted]]);
+
+    metric('flv_hls_stream_up', 'gauge', 'Whether the FFmpeg process of the stream is running (0 while waiting for a restart).',
+        perStream(({ stream }) => stream.supervisor.state === 'running' ? 1 : 0));
+    metric('flv_hls_stream_uptime_seconds', 'gauge', 'Seconds since the stream was started.',
+        perStream(({ stream }) => (now - stream.startTime) / 1000));
+    metric('flv_hls_stream_restarts_total', 'counter', 'FFmpeg restarts performed by the supervisor.',
+        perStream(({ stream }) => stream.supervisor.restarts.length));
+    metric('flv_hls_stream_reconnects_total', 'counter', 'Input reconnect attempts reported by FFmpeg.',
+        perStream(({ metrics }) => metrics.reconnectCount));
+    metric('flv_hls_stream_errors_total', 'counter', 'FFmpeg log lines at error level or above.',
+        perStream(({ metrics }) => metrics.errorCount));
+    metric('flv_hls_stream_warnings_total', 'counter', 'FFmpeg log lines at warning level.',
+        perStream(({ metrics }) => metrics.warningCount));
+    metric('flv_hls_stream_segments_total', 'counter', 'Segment files written by FFmpeg.',
+        perStream(({ metrics }) => metrics.segmentCount));
+    metric('flv_hls_stream_last_segment_age_seconds', 'gauge', 'Seconds since FFmpeg last started writing a segment.',
+        perStream(({ metrics }) => metrics.lastSegmentTime ? (now - metrics.lastSegmentTime) / 1000 : null));
+    metric('flv_hls_stream_encode_fps', 'gauge', 'Encoding frame rate of the current FFmpeg process.',
+        perStream(({ metrics }) => metrics.fps));
+    metric('flv_hls_stream_encode_bitrate_bits_per_second', 'gauge', 'Output bitrate of the current FFmpeg process.',
+        perStream(({ metrics }) => metrics.bitrateKbps !== null && metrics.bitrateKbps !== undefined ? metrics.bitrateKbps * 1000 : null));
+    metric('flv_hls_stream_encode_speed_ratio', 'gauge', 'Encoding speed relative to real time.',
+        perStream(({ metrics }) => metrics.speed));
+    metric('flv_hls_stream_dropped_frames', 'gauge', 'Frames dropped by the current FFmpeg process.',
+        perStream(({ metrics }) => metrics.droppedFrames));
+    metric('flv_hls_stream_duplicated_frames', 'gauge', 'Frames duplicated by the current FFmpeg process.',
+        perStream(({ metrics }) => metrics.duplicatedFrames));
+
+    metric('flv_hls_ffmpeg_cpu_seconds_total', 'counter', 'CPU time used by the current FFmpeg process.',
+        perStream(({ usage }) => usage ? usage.cpuSeconds : null));
+    metric('flv_hls_ffmpeg_resident_memory_bytes', 'gauge', 'Resident memory of the current FFmpeg process.',
+        perStream(({ usage }) => usage ? usage.rssBytes : null));
+    metric('flv_hls_memory_store_bytes', 'gauge', 'Playlist and segment bytes held in memory for memory-backed streams.',
+        Array.from(memoryStores.entries()).map(([streamId, store]) => [{ stream_id: streamId }, store.getStatus().bytes]));
+
+    const requestSamples = [];
+    const byteSamples = [];
+    for (const [streamId, traffic] of hlsTraffic.entries()) {
+        for (const [key, count] of traffic.requests.entries()) {
+            const [type, code] = key.split('|');
+            requestSamples.push([{ stream_id: streamId, type, code }, count]);
+        }
+        byteSamples.push([{ stream_id: streamId }, traffic.bytes]);
+    }
+    metric('flv_hls_http_requests_total', 'counter', 'HLS requests served per stream, file type and status code.', requestSamples);
+    metric('flv_hls_http_response_bytes_total', 'counter', 'HLS response bytes served per stream.', byteSamples);
+
+    const audiences = streams.map(entry => [entry.streamId, getAudienceStatus(entry.streamId)]);
+    metric('flv_hls_stream_viewers', 'gauge', 'Viewer sessions that fetched the stream within the session timeout.',
+        audiences.map(([streamId, audience]) => [{ stream_id: streamId }, audience.concurrentViewers]));
+    metric('flv_hls_stream_viewer_sessions_total', 'counter', 'Viewer sessions started per stream.',
+        audiences.map(([streamId, audience]) => [{ stream_id: streamId }, audience.totalSessions]));
+    metric('flv_hls_stream_watch_time_seconds_total', 'counter', 'Watch time summed over all viewer sessions.',
+        audiences.map(([streamId, audience]) => [{ stream_id: streamId }, audience.watchTimeSeconds]));
+
+    const memory = process.memoryUsage();
+    const cpu = process.cpuUsage();
+    metric('process_resident_memory_bytes', 'gauge', 'Resident memory of the server process.', [[{}, memory.rss]]);
+    metric('process_cpu_seconds_total', 'counter', 'CPU time used by the server process.', [[{}, (cpu.user + cpu.system) / 1000000]]);
+    metric('process_start_time_seconds', 'gauge', 'Start time of the server process since the unix epoch.', [[{}, Math.round(now / 1000 - process.uptime())]]);
+
+    return lines.join('\n') + '\n';
+};
+
+// Per-stream labels expose every stream ID and its audience, so scrapers need an admin credential
+app.get('/metrics', requireScope('admin'), (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderPrometheusMetrics());
+});
+
 const periodicCleanup = () => {
     const now = Date.now();
     const inactiveStreams = [];
@@ -707,6 +7025,21 @@ const periodicCleanup = () => {
     for (const [streamId, stream] of activeStreams.entries()) {
         const metrics = streamMetrics.get(streamId);
         const uptime = now - stream.startTime;
+
+        if (stream.dvr) {
+            try {
+                enforceDvrRetention(streamId, stream);
+            } catch (error) {
+                console.error(`Error enforcing DVR retention for ${streamId}:`, error);
+            }
+        }
+        if (stream.thumbnails) {
+            try {
+                pruneSprites(streamId, stream);
+            } catch (error) {
+                console.error(`Error pruning sprite sheets for ${streamId}:`, error);
+            }
+        }
         const inactiveTime = now - stream.lastActivity;
         
         let shouldCleanup = false;
@@ -715,9 +7048,9 @@ const periodicCleanup = () => {
         if (stream.process.killed) {
             shouldCleanup = true;
             reason = 'process killed';
-        } else if (inactiveTime > config.streamTimeout) {
+        } else if (inactiveTime > stream.idleTimeout) {
             shouldCleanup = true;
-            reason = 'inactive timeout';
+            reason = 'no viewers';
         } else if (metrics && metrics.errorCount > 20) {
             shouldCleanup = true;
             reason = 'too many errors';
@@ -729,6 +7062,11 @@ const periodicCleanup = () => {
         if (shouldCleanup) {
             console.log(`🧹 Marking stream ${streamId} for cleanup: ${reason}`);
             inactiveStreams.push({ streamId, reason });
+            stream.stopReason = `cleanup: ${reason}`;
+            emitStreamEvent(streamId, 'stream.cleanup', stream, { reason: reason });
+            if (stream.supervisor.state === 'backoff') {
+                emitStoppedEvent(streamId, stream, null);
+            }
         }
     }
 
@@ -750,6 +7088,8 @@ const periodicCleanup = () => {
             }
             
             if (stream.timeout) clearTimeout(stream.timeout);
+            cancelRestart(stream);
+            stopRecording(stream);
             
             if (!stream.process.killed) {
                 try {
@@ -768,6 +7108,7 @@ const periodicCleanup = () => {
             streamMetrics.delete(streamId);
         }
 
+        streamStore.remove(streamId);
         cleanupStreamDirectory(streamId);
     }
 
@@ -785,6 +7126,33 @@ const periodicCleanup = () => {
         console.log(`🧹 Cleared ${clearedRateLimitEntries} old rate limit entries`);
     }
 
+    for (const streamId of hlsTraffic.keys()) {
+        if (!activeStreams.has(streamId)) {
+            hlsTraffic.delete(streamId);
+        }
+    }
+
+    for (const streamId of audienceStats.keys()) {
+        if (!activeStreams.has(streamId)) {
+            audienceStats.delete(streamId);
+            viewerSessions.delete(streamId);
+        } else {
+            expireViewerSessions(streamId, now);
+        }
+    }
+
+    for (const [streamId, failed] of failedStreams.entries()) {
+        if (failed.failedAt < rateLimit30MinAgo) {
+            failedStreams.delete(streamId);
+        }
+    }
+
+    for (const streamId of memoryStores.keys()) {
+        if (!activeStreams.has(streamId)) {
+            memoryStores.delete(streamId);
+        }
+    }
+
     try {
         const hlsContents = fs.readdirSync(hlsDir);
         const activeDirs = new Set(Array.from(activeStreams.keys()));
@@ -814,18 +7182,37 @@ const periodicCleanup = () => {
 
 setInterval(periodicCleanup, config.cleanupInterval);
 
+sampleCpu();
+setInterval(() => {
+    sampleCpu();
+    processQueue();
+}, 2000);
+
+setInterval(() => {
+    if (eventSubscribers.size === 0) {
+        return;
+    }
+    for (const [streamId, stream] of activeStreams.entries()) {
+        publishStreamEvent(streamId, 'stream.metrics', stream, summarizeStream(streamId, stream));
+    }
+}, config.eventsMetricsInterval);
+
 const cleanup = () => {
     console.log('🛑 Shutting down server, cleaning up active streams...');
+    shuttingDown = true;
     
     for (const [streamId, stream] of activeStreams.entries()) {
         try {
             if (stream.timeout) clearTimeout(stream.timeout);
+            cancelRestart(stream);
+            stopRecording(stream, { remux: false });
             if (!stream.process.killed) {
                 stream.process.kill('SIGTERM');
             }
             
+            // Persisted streams keep their directory, the next boot adopts it and appends to the playlist
             const streamDir = path.join(hlsDir, streamId);
-            if (fs.existsSync(streamDir)) {
+            if (!streamStore.get(streamId) && fs.existsSync(streamDir)) {
                 fs.rmSync(streamDir, { recursive: true, force: true });
             }
         } catch (error) {
@@ -839,8 +7226,34 @@ const cleanup = () => {
     process.exit(0);
 };
 
-process.on('SIGTERM', cleanup);
-process.on('SIGINT', cleanup);
+const drain = (signal) => {
+    if (shuttingDown) {
+        console.log(`🛑 ${signal} received again, shutting down immediately`);
+        return cleanup();
+    }
+
+    shuttingDown = true;
+    console.log(`🛑 ${signal} received, draining for up to ${config.drainTimeout / 1000}s before shutdown...`);
+
+    // Tells the coordinator to stop placing streams here without waiting for the next heartbeat
+    if (clusterRole !== 'standalone') {
+        sendHeartbeat().catch(() => {});
+    }
+
+    // Stop accepting connections, existing viewers keep playing until they finish or the timeout hits
+    const timer = setTimeout(cleanup, config.drainTimeout);
+    // Event streams never finish on their own, clients reconnect to another instance
+    for (const subscriber of eventSubscribers) {
+        subscriber.res.end();
+    }
+    server.close(() => {
+        clearTimeout(timer);
+        cleanup();
+    });
+};
+
+process.on('SIGTERM', () => drain('SIGTERM'));
+process.on('SIGINT', () => drain('SIGINT'));
 process.on('uncaughtException', (error) => {
     console.error('❌ Uncaught Exception:', error);
     cleanup();
@@ -849,7 +7262,88 @@ process.on('unhandledRejection', (reason, promise) => {
     console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-app.listen(PORT, async () => {
+const recoverClipJobs = () => {
+    if (!fs.existsSync(config.clipsDir)) {
+        return;
+    }
+
+    for (const jobId of fs.readdirSync(config.clipsDir)) {
+        const job = readClipMeta(jobId);
+        if (!job || job.status === 'completed' || job.status === 'failed') {
+            continue;
+        }
+
+        fs.rmSync(path.join(config.clipsDir, jobId, 'work'), { recursive: true, force: true });
+        job.status = 'failed';
+        job.error = 'Interrupted by server restart';
+        fs.writeFileSync(path.join(config.clipsDir, jobId, 'clip.json'), JSON.stringify(job, null, 2));
+    }
+};
+
+const reconcileStreams = async () => {
+    const definitions = streamStore.list();
+    const desired = new Set(definitions.map(definition => definition.streamId));
+
+    // Directories of streams nobody wants anymore are leftovers from a crash or an old deploy
+    for (const item of fs.readdirSync(hlsDir)) {
+        if (!desired.has(item)) {
+            fs.rmSync(path.join(hlsDir, item), { recursive: true, force: true });
+            console.log(`🧹 Removed leftover directory: ${item}`);
+        }
+    }
+
+    if (fs.existsSync(config.keysDir)) {
+        fs.readdirSync(config.keysDir).forEach(releaseKeySet);
+    }
+
+    if (definitions.length === 0) {
+        return;
+    }
+
+    console.log(`♻️ Restoring ${definitions.length} stream(s) from the ${streamStore.type} registry...`);
+
+    const results = await Promise.allSettled(definitions.map(async (definition, index) => {
+        if (index >= config.maxConcurrentStreams) {
+            throw new Error('maximum concurrent streams reached');
+        }
+
+        const { options, error } = parseStreamOptions(definition.options || {});
+        if (error) {
+            throw new Error(error);
+        }
+        if (options.encryption && definition.keySetId) {
+            options.encryption.keySetId = definition.keySetId;
+        }
+
+        // Older registries stored the whole client object as the owner
+        const legacyClient = definition.owner && typeof definition.owner === 'object' ? definition.owner : null;
+        const result = await startStream(definition.streamId, definition.flvUrl, options, {
+            ip: definition.clientIp || (legacyClient && legacyClient.ip) || 'registry',
+            userAgent: definition.userAgent || (legacyClient && legacyClient.userAgent) || 'Unknown',
+            ownerId: (legacyClient ? legacyClient.ownerId : definition.owner) || null
+        });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }));
+
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+            const { streamId } = definitions[i];
+            console.error(`❌ Could not restore stream ${streamId}: ${result.reason.message}`);
+            streamStore.remove(streamId);
+            cleanupStreamDirectory(streamId);
+        }
+    });
+
+    const restored = results.filter(result => result.status === 'fulfilled').length;
+    console.log(`♻️ Restored ${restored}/${definitions.length} stream(s)`);
+};
+
+recoverRecordings();
+recoverClipJobs();
+
+const server = app.listen(PORT, async () => {
     console.log(`=================================`);
     console.log(`🚀 Enhanced FLV to HLS Server`);
     console.log(`=================================`);
@@ -862,6 +7356,17 @@ app.listen(PORT, async () => {
     console.log(`🔧 Segment duration: ${config.segmentDuration}s`);
     console.log(`🧹 Cleanup interval: ${config.cleanupInterval / 1000}s`);
     console.log(`=================================`);
+
+    if (isAuthEnabled()) {
+        console.log(`🔐 API authentication enabled (${apiKeys.size} API keys${config.adminApiKey ? ', admin key' : ''}${config.jwtSecret ? ', JWT' : ''})`);
+    } else {
+        console.warn('⚠️ API authentication disabled, set ADMIN_API_KEY or JWT_SECRET to protect /api');
+    }
+
+    if (config.rtmpEnabled) {
+        startRtmpServer();
+        console.log(`📡 RTMP ingest listening on port ${config.rtmpPort} (rtmp://<host>:${config.rtmpPort}/live/<streamKey>)`);
+    }
     
     const ffmpegAvailable = await checkFFmpegHealth();
     if (ffmpegAvailable) {
@@ -872,6 +7377,19 @@ app.listen(PORT, async () => {
         console.error('   Visit: https://ffmpeg.org/download.html');
     }
 
+    try {
+        await reconcileStreams();
+    } catch (error) {
+        console.error('❌ Error restoring persisted streams:', error);
+    }
+
+    if (clusterRole !== 'standalone') {
+        console.log(`🕸️ Cluster ${clusterRole} ${config.nodeId} (${config.nodeUrl})${clusterRole === 'worker' ? `, coordinator ${config.coordinatorUrl}` : `, ${clusterStore.type} state store`}`);
+        const heartbeat = () => sendHeartbeat().catch(error => console.error('❌ Cluster heartbeat failed:', error.message));
+        heartbeat();
+        clusterState.timer = setInterval(heartbeat, config.heartbeatInterval);
+    }
+
     console.log('=================================');
     console.log('🎯 Enhanced server ready to handle multiple concurrent streams!');
     console.log(`💡 Server can handle up to ${config.maxConcurrentStreams} simultaneous video streams`);
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startServer, signJwt, writeRecording } = require('./helpers');
+
+const jwtSecret = 'test-jwt-secret';
+const adminKey = 'test-admin-key';
+
+const bearer = (claims) => ({ Authorization: `Bearer ${signJwt(jwtSecret, claims)}` });
+
+describe('API authentication', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ JWT_SECRET: jwtSecret, ADMIN_API_KEY: adminKey });
+        writeRecording(path.join(server.dir, 'recordings'), 'cam1_1000', 'jwt:alice');
+    });
+
+    after(() => server.stop());
+
+    it('rejects requests without a credential', async () => {
+        const response = await fetch(`${server.baseUrl}/api/streams/active`);
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.headers.get('www-authenticate'), 'Bearer');
+    });
+
+    it('rejects a JWT with a bad signature', async () => {
+        const token = signJwt('another-secret', { sub: 'alice', scope: 'read' });
+        const response = await fetch(`${server.baseUrl}/api/streams/active`, { headers: { Authorization: `Bearer ${token}` } });
+        assert.strictEqual(response.status, 401);
+    });
+
+    it('rejects an expired JWT', async () => {
+        const response = await fetch(`${server.baseUrl}/api/streams/active`, {
+            headers: bearer({ sub: 'alice', scope: 'read', exp: Math.floor(Date.now() / 1000) - 10 })
+        });
+        assert.strictEqual(response.status, 401);
+    });
+
+    it('accepts a JWT with the required scope', async () => {
+        const response = await fetch(`${server.baseUrl}/api/streams/active`, { headers: bearer({ sub: 'alice', scope: 'read' }) });
+        assert.strictEqual(response.status, 200);
+    });
+
+    it('rejects a credential without the required scope', async () => {
+        const response = await fetch(`${server.baseUrl}/api/stream/start`, {
+            method: 'POST',
+            headers: { ...bearer({ sub: 'alice', scope: 'read' }), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ streamId: 'cam1', flvUrl: 'http://camera.invalid/live.flv' })
+        });
+        assert.strictEqual(response.status, 403);
+    });
+
+    it('requires the admin scope for /metrics', async () => {
+        const reader = await fetch(`${server.baseUrl}/metrics`, { headers: bearer({ sub: 'alice', scope: 'read' }) });
+        assert.strictEqual(reader.status, 403);
+
+        const admin = await fetch(`${server.baseUrl}/metrics`, { headers: { 'X-API-Key': adminKey } });
+        assert.strictEqual(admin.status, 200);
+    });
+
+    it('only shows a recording to its owner and admins', async () => {
+        const owner = await fetch(`${server.baseUrl}/api/recordings/cam1_1000`, { headers: bearer({ sub: 'alice', scope: 'read' }) });
+        assert.strictEqual(owner.status, 200);
+
+        const other = await fetch(`${server.baseUrl}/api/recordings/cam1_1000`, { headers: bearer({ sub: 'bob', scope: 'read' }) });
+        assert.strictEqual(other.status, 403);
+
+        const admin = await fetch(`${server.baseUrl}/api/recordings/cam1_1000`, { headers: { 'X-API-Key': adminKey } });
+        assert.strictEqual(admin.status, 200);
+
+        const list = await fetch(`${server.baseUrl}/api/recordings`, { headers: bearer({ sub: 'bob', scope: 'read' }) });
+        assert.strictEqual((await list.json()).count, 0);
+    });
+});
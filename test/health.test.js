@@ -0,0 +1,32 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('Health check', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({
+            ADMIN_API_KEY: 'test-admin-key',
+            REDIS_URL: 'redis://:redis-password@redis.internal:6379',
+            WEBHOOK_SECRET: 'webhook-secret',
+            PLAYBACK_SECRET: 'playback-secret'
+        });
+    });
+
+    after(() => server.stop());
+
+    it('is reachable without a credential and leaves secrets out of the config', async () => {
+        const response = await fetch(`${server.baseUrl}/api/health`);
+        assert.strictEqual(response.status, 200);
+
+        const text = await response.text();
+        for (const secret of ['redis-password', 'webhook-secret', 'playback-secret', 'test-admin-key']) {
+            assert.ok(!text.includes(secret), `health response contains ${secret}`);
+        }
+
+        const { config } = JSON.parse(text);
+        assert.strictEqual(config.redisUrl, undefined);
+        assert.strictEqual(typeof config.maxConcurrentStreams, 'number');
+    });
+});
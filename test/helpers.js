@@ -0,0 +1,138 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const serverPath = path.join(__dirname, '..', 'server.js');
+
+const getFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+// Every file and directory the server writes goes to a temp dir, so tests never touch a running setup
+const startServer = async (env = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flv-hls-test-'));
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [serverPath], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            HLS_DIR: path.join(dir, 'hls'),
+            RECORDINGS_DIR: path.join(dir, 'recordings'),
+            CLIPS_DIR: path.join(dir, 'clips'),
+            KEYS_DIR: path.join(dir, 'keys'),
+            API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+            STREAM_KEYS_FILE: path.join(dir, 'stream-keys.json'),
+            SOURCES_FILE: path.join(dir, 'sources.json'),
+            GROUPS_FILE: path.join(dir, 'groups.json'),
+            WEBHOOK_LOG_FILE: path.join(dir, 'webhook-deliveries.log'),
+            CLUSTER_STORE_FILE: path.join(dir, 'cluster-state.json'),
+            STREAM_STORE: 'memory',
+            DRAIN_TIMEOUT: '500',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+            // Printed after persisted streams were reconciled, which also clears the HLS directory
+            if (output.includes('Enhanced server ready')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', (chunk) => { output += chunk; });
+        child.once('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        baseUrl: `http://127.0.0.1:${port}`,
+        dir,
+        stop: () => new Promise((resolve) => {
+            child.once('exit', () => {
+                fs.rmSync(dir, { recursive: true, force: true });
+                resolve();
+            });
+            child.kill('SIGTERM');
+        })
+    };
+};
+
+const signJwt = (secret, claims) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+    return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+};
+
+// Same format as createPlaybackToken, without IP binding
+const signPlaybackToken = (secret, subject, ttl = 3600) => {
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    return `${expires}.${crypto.createHmac('sha256', secret).update(`${subject}\n${expires}\n`).digest('base64url')}`;
+};
+
+// fetch normalizes "..", this sends the path exactly as given
+const rawGet = (baseUrl, requestPath, headers = {}) => new Promise((resolve, reject) => {
+    const { hostname, port } = new URL(baseUrl);
+    http.get({ hostname, port, path: requestPath, headers }, (response) => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => { body += chunk; });
+        response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    }).on('error', reject);
+});
+
+// A finished HLS recording as the recorder leaves it behind
+const writeRecording = (recordingsDir, recordingId, owner) => {
+    const recordingDir = path.join(recordingsDir, recordingId);
+    fs.mkdirSync(recordingDir, { recursive: true });
+    fs.writeFileSync(path.join(recordingDir, 'segment_00000.ts'), Buffer.alloc(188));
+    fs.writeFileSync(path.join(recordingDir, 'playlist.m3u8'), [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        '#EXT-X-TARGETDURATION:2',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXTINF:2.000000,',
+        'segment_00000.ts',
+        '#EXT-X-ENDLIST',
+        ''
+    ].join('\n'));
+    fs.writeFileSync(path.join(recordingDir, 'recording.json'), JSON.stringify({
+        id: recordingId,
+        streamId: recordingId.split('_')[0],
+        format: 'hls',
+        status: 'completed',
+        variant: null,
+        owner: owner,
+        keySetId: null,
+        startedAt: new Date().toISOString(),
+        endedAt: new Date().toISOString(),
+        duration: 2,
+        segmentCount: 1,
+        sizeBytes: 188,
+        files: ['playlist.m3u8', 'segment_00000.ts']
+    }, null, 2));
+};
+
+module.exports = {
+    startServer,
+    signJwt,
+    signPlaybackToken,
+    rawGet,
+    writeRecording
+};
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, signPlaybackToken, rawGet, writeRecording } = require('./helpers');
+
+const playbackSecret = 'test-playback-secret';
+
+describe('Signed playback URLs', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ PLAYBACK_SECRET: playbackSecret });
+        writeRecording(path.join(server.dir, 'recordings'), 'cam1_1000', null);
+        writeRecording(path.join(server.dir, 'recordings'), 'cam2_2000', null);
+        // A playlist the traversal tests must not reach with a cam1 token
+        fs.mkdirSync(path.join(server.dir, 'hls', 'cam2'), { recursive: true });
+        fs.writeFileSync(path.join(server.dir, 'hls', 'cam2', 'playlist.m3u8'), '#EXTM3U\n');
+    });
+
+    after(() => server.stop());
+
+    it('rejects /hls requests without a valid token', async () => {
+        const missing = await fetch(`${server.baseUrl}/hls/cam1/playlist.m3u8`);
+        assert.strictEqual(missing.status, 403);
+
+        const forged = await fetch(`${server.baseUrl}/hls/cam1/playlist.m3u8?token=${signPlaybackToken('another-secret', 'cam1')}`);
+        assert.strictEqual(forged.status, 403);
+
+        const expired = await fetch(`${server.baseUrl}/hls/cam1/playlist.m3u8?token=${signPlaybackToken(playbackSecret, 'cam1', -10)}`);
+        assert.strictEqual(expired.status, 403);
+    });
+
+    it('passes a valid token on to the file lookup', async () => {
+        const response = await fetch(`${server.baseUrl}/hls/cam1/playlist.m3u8?token=${signPlaybackToken(playbackSecret, 'cam1')}`);
+        assert.strictEqual(response.status, 404);
+    });
+
+    it('does not accept one stream\'s token for another stream', async () => {
+        const token = signPlaybackToken(playbackSecret, 'cam1');
+        const other = await fetch(`${server.baseUrl}/hls/cam2/playlist.m3u8?token=${token}`);
+        assert.strictEqual(other.status, 403);
+
+        const traversal = await rawGet(server.baseUrl, `/hls/cam1/../cam2/playlist.m3u8?token=${token}`);
+        assert.strictEqual(traversal.status, 404);
+
+        const encoded = await rawGet(server.baseUrl, `/hls/cam1/%2e%2e/cam2/playlist.m3u8?token=${token}`);
+        assert.strictEqual(encoded.status, 404);
+    });
+
+    it('answers a malformed path with 400', async () => {
+        const response = await rawGet(server.baseUrl, `/hls/cam1/%E0%A4%A.m3u8?token=${signPlaybackToken(playbackSecret, 'cam1')}`);
+        assert.strictEqual(response.status, 400);
+    });
+
+    it('signs recording playback URLs for that recording only', async () => {
+        const details = await (await fetch(`${server.baseUrl}/api/recordings/cam1_1000`)).json();
+        const playbackUrl = new URL(details.playbackUrl);
+        const token = playbackUrl.searchParams.get('token');
+        assert.ok(token);
+
+        const playlist = await fetch(`${server.baseUrl}${playbackUrl.pathname}?token=${token}`);
+        assert.strictEqual(playlist.status, 200);
+        assert.match(await playlist.text(), new RegExp(`segment_00000\\.ts\\?token=${token}`));
+
+        const segment = await fetch(`${server.baseUrl}/recordings/cam1_1000/segment_00000.ts?token=${token}`);
+        assert.strictEqual(segment.status, 200);
+        assert.match(segment.headers.get('cache-control'), /^private/);
+
+        const otherRecording = await fetch(`${server.baseUrl}/recordings/cam2_2000/playlist.m3u8?token=${token}`);
+        assert.strictEqual(otherRecording.status, 403);
+
+        const streamToken = await fetch(`${server.baseUrl}/recordings/cam1_1000/playlist.m3u8?token=${signPlaybackToken(playbackSecret, 'cam1_1000')}`);
+        assert.strictEqual(streamToken.status, 403);
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startServer, signJwt, rawGet, writeRecording } = require('./helpers');
+
+const jwtSecret = 'test-jwt-secret';
+
+const bearer = (sub) => ({ Authorization: `Bearer ${signJwt(jwtSecret, { sub, scope: 'read' })}` });
+
+describe('Recording files', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ JWT_SECRET: jwtSecret });
+        writeRecording(path.join(server.dir, 'recordings'), 'cam1_1000', 'jwt:alice');
+        writeRecording(path.join(server.dir, 'recordings'), 'cam2_2000', 'jwt:bob');
+    });
+
+    after(() => server.stop());
+
+    it('requires a credential that owns the recording', async () => {
+        const anonymous = await rawGet(server.baseUrl, '/recordings/cam1_1000/playlist.m3u8');
+        assert.strictEqual(anonymous.status, 401);
+
+        const other = await rawGet(server.baseUrl, '/recordings/cam1_1000/playlist.m3u8', bearer('bob'));
+        assert.strictEqual(other.status, 403);
+
+        const owner = await rawGet(server.baseUrl, '/recordings/cam1_1000/playlist.m3u8', bearer('alice'));
+        assert.strictEqual(owner.status, 200);
+        assert.match(owner.body, /segment_00000\.ts/);
+    });
+
+    it('keeps authenticated responses out of shared caches', async () => {
+        const response = await rawGet(server.baseUrl, '/recordings/cam1_1000/segment_00000.ts', bearer('alice'));
+        assert.strictEqual(response.status, 200);
+        assert.match(response.headers['cache-control'], /^private/);
+    });
+
+    it('does not serve recording metadata', async () => {
+        const response = await rawGet(server.baseUrl, '/recordings/cam1_1000/recording.json', bearer('alice'));
+        assert.strictEqual(response.status, 404);
+    });
+
+    it('does not let one recording\'s access check open another recording', async () => {
+        const plain = await rawGet(server.baseUrl, '/recordings/cam1_1000/../cam2_2000/playlist.m3u8', bearer('alice'));
+        assert.strictEqual(plain.status, 404);
+
+        const encoded = await rawGet(server.baseUrl, '/recordings/cam1_1000/%2e%2e/cam2_2000/playlist.m3u8', bearer('alice'));
+        assert.strictEqual(encoded.status, 404);
+    });
+
+    it('answers a malformed path with 400', async () => {
+        const response = await rawGet(server.baseUrl, '/recordings/cam1_1000/%E0%A4%A.ts', bearer('alice'));
+        assert.strictEqual(response.status, 400);
+    });
+});
@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const startWithCallback = (server, callbackUrl) => fetch(`${server.baseUrl}/api/stream/start`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ streamId: 'cam1', flvUrl: 'http://camera.invalid/live.flv', callbackUrl })
+});
+
+describe('Stream callbackUrl', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => server.stop());
+
+    for (const callbackUrl of [
+        'http://127.0.0.1:8080/hook',
+        'http://localhost/hook',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://10.0.0.5/hook',
+        'http://192.168.1.10/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://[fd00::1]/hook'
+    ]) {
+        it(`rejects ${callbackUrl}`, async () => {
+            const response = await startWithCallback(server, callbackUrl);
+            assert.strictEqual(response.status, 400);
+            assert.match((await response.json()).message, /callbackUrl/);
+        });
+    }
+});
+
+describe('Stream callbackUrl with CALLBACK_ALLOWED_HOSTS', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ CALLBACK_ALLOWED_HOSTS: 'hooks.example.com' });
+    });
+
+    after(() => server.stop());
+
+    it('rejects hosts that are not listed', async () => {
+        const response = await startWithCallback(server, 'https://other.example.com/hook');
+        assert.strictEqual(response.status, 400);
+        assert.match((await response.json()).message, /CALLBACK_ALLOWED_HOSTS/);
+    });
+});